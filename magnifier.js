@@ -10,158 +10,643 @@
  *     size: 200,
  *     zoom: 2,
  *     position: { x: 20, y: 20 },
- *     activationMode: 'drag'  // or 'move' - 'drag' shows only when dragging, 'move' shows when mouse moves
+ *     placement: 'fixed',     // or 'cursor' (centered on the pointer) or 'offset' (beside the pointer)
+ *     activationMode: 'drag', // or 'move' - 'drag' shows only when dragging, 'move' shows when mouse moves
+ *     target: '#viewer'       // optional - only magnify inside this element (default: whole page)
  *   });
  * 
- *   // To destroy:
+ *   // Lens shape, overlays and theming (plus --magnifier-* CSS custom properties):
+ *   new Magnifier({ shape: 'rounded', width: 320, height: 180, className: 'my-lens', crosshair: true, zoomBadge: true });
+ * 
+ *   // Filter the lens content (contrast, invert, grayscale, brightness, protanopia, ...):
+ *   magnifier.setFilter(['grayscale', { type: 'contrast', amount: 3 }]);
+ * 
+ *   // Pixel inspector: grid, HEX/RGB/OKLCH readout, click or C copies the color:
+ *   new Magnifier({ tool: 'inspect', zoom: 10 });
+ * 
+ *   // Ruler between two points, snapping to element edges:
+ *   new Magnifier({ tool: 'measure' }).on('measure', (e) => console.log(e.distance, e.angle));
+ * 
+ *   // Export the lens frame, or record a short WebM clip:
+ *   magnifier.toBlob().then(attachToTicket);
+ *   magnifier.startRecording(); magnifier.stopRecording().then(attachToTicket);
+ * 
+ *   // Magnify a canvas, SVG or video in real time (or mark it with data-magnifier-live):
+ *   magnifier.addLiveSource('#chart', { type: 'canvas' });
+ *   magnifier.addLiveSource(svgElement, { type: 'svg', refreshMs: 50 });
+ *   magnifier.removeLiveSource('#chart');
+ * 
+ *   // Magnify same-origin iframes (all of them, or those matching a selector):
+ *   new Magnifier({ frames: 'iframe.preview' });
+ * 
+ *   // Per-pointer activation, touch/pen drag threshold and pen pressure zoom:
+ *   new Magnifier({ pointerActivation: { pen: 'move', touch: 'none' }, dragThreshold: 8, pressureZoom: true });
+ * 
+ *   // Change the zoom at runtime (also wheel, +/- keys or pinch while the lens is showing):
+ *   magnifier.setZoom(4);
+ *   magnifier.on('zoomchange', (e) => console.log(e.zoom));
+ * 
+ *   // Use a different capture backend ('html2canvas', 'foreignObject', 'user' or an adapter object):
+ *   // Adapters should leave out `exclude` (live sources and fixed/sticky elements, drawn separately):
+ *   new Magnifier({ capture: 'user', captureOptions: { render: (element, { region, scale, exclude }) => myBitmap } });
+ * 
+ *   // Render a live, vector-sharp DOM clone in the lens instead of snapshots:
+ *   new Magnifier({ renderMode: 'dom' });
+ * 
+ *   // Snapshots are only retaken when the page changes; see how many were skipped:
+ *   magnifier.getStats(); // { captures, skipped, mutations, evictions, tiles, tileBytes, ... }
+ * 
+ *   // Or declaratively, as a custom element (events arrive as 'magnifier-<type>' DOM events):
+ *   <html-magnifier zoom="3" size="240" mode="move" target="#viewer"></html-magnifier>
+ * 
+ *   // Change options at runtime, or stop magnifying for a while:
+ *   magnifier.setOptions({ size: 300, activationMode: 'move' });
+ *   magnifier.pause(); magnifier.resume(); magnifier.disable(); magnifier.enable();
+ * 
+ *   // Lifecycle events and readiness:
+ *   magnifier.on('error', (e) => reportError(e.error));
+ *   magnifier.ready.then(() => hideSpinner());
+ * 
+ *   // To destroy (stops every loop, timer and listener):
  *   magnifier.destroy();
  */
+
+// Pending html2canvas script loads shared by all instances, keyed by script URL
+const html2canvasLoads = new Map();
+
+// Instances that haven't been destroyed, in creation order
+const instances = new Set();
+
+// Snapshot tile caches shared by instances capturing the same root the same way: root element -> Map(key -> cache)
+const tileCaches = new Map();
+
+// Numbers identifying live source elements in tile cache keys
+const elementKeys = new WeakMap();
+let nextElementKey = 1;
+
+// Page tile captures of all instances run one at a time; instances that found it busy wait for their turn
+const snapshotScheduler = { busy: false, waiting: new Set() };
+
 class Magnifier {
   constructor(options = {}) {
-    // Configuration
-    this.size = options.size || 200;
-    this.zoom = options.zoom || 2;
-    this.position = options.position || { x: 20, y: 20 };
-    this.activationMode = options.activationMode || 'drag'; // 'drag' or 'move'
-    this.updateFrequency = options.updateFrequency || {
-      MAIN_SNAPSHOT: 16,      // Main page snapshot interval (16ms ≈ 60fps)
-      SVG_SNAPSHOT: 16,        // SVG snapshot interval (16ms ≈ 60fps)
-      RESIZE_DEBOUNCE: 150     // Debounce delay for resize/scroll events
-    };
+    // Configuration (as passed; setOptions() merges changes in)
+    this.options = { ...options };
+    this.configure(this.options);
+    this.zoom = this.clampZoom(options.zoom || 2);
+    this.targetZoom = this.zoom; // Zoom being animated to; equals zoom when idle
     
     // State
     this.isDragging = false;
     this.lastMouseX = 0;
     this.lastMouseY = 0;
-    this.snapshotCanvas = null;
+    this.pointerType = 'mouse'; // 'mouse', 'pen' or 'touch' - last input used, for lens placement and activation
+    this.activePointers = new Map(); // pointerId -> { x, y } of pointers in contact, for pinch zoom
+    this.dragPointerId = null; // Pointer that went down to drag the lens
+    this.captureTarget = null; // Element holding the pointer capture of the drag
+    this.clickEndsDrag = false; // The next click comes from the pointerup that ended a drag
+    this.dragStart = null; // { x, y } where that pointer went down
+    this.tileCache = this.createTileCache(); // Private until init() joins a shared one (see acquireTileCache)
     this.isSnapshotting = false;
     this.snapshotTimer = null;
+    this.pendingResize = false;
+    this.pixelRatio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+    this.pixelRatioQuery = null;
     this.snapshotInterval = null;
-    this.svgSnapshotCanvas = null;
-    this.isSvgSnapshotting = false;
-    this.svgSnapshotInterval = null;
-    this.rafId = null;
+    this.runningAnimations = new Map(); // element -> running CSS animations/transitions
+    this.mutationObserver = null;
+    this.stats = {
+      captures: 0,        // Tiles captured
+      skipped: 0,         // Snapshot ticks skipped because every needed tile was up to date
+      mutations: 0,       // DOM mutations seen
+      evictions: 0,       // Tiles dropped for the memory budget or after scrolling
+      lastCaptureDuration: 0
+    };
+    this.liveSources = new Map(); // element -> { element, type, refreshMs, snapshotCanvas, isSnapshotting, interval, auto, ... }
+    this.pinnedLayers = new Map(); // position: fixed/sticky element -> { element, image, scale, stale, capturing }
+    this.pinnedScanNeeded = true; // The DOM or layout changed since pinned elements were last looked up
+    this.pinnedScanTime = -Infinity;
+    this.cloneMap = new WeakMap(); // original node -> its copy in the lens ('dom' render mode)
+    this.clonedMedia = []; // { original, clone } canvases/videos repainted into the clone every frame
+    this.rafId = null; // One-off redraw requested by a finished capture
+    this.loopId = null; // Frame of the continuous update loop
+    this.pageLoadTimer = null;
+    this.zoomAnimationId = null;
+    this.pinchStartDistance = 0;
+    this.pinchStartZoom = 0;
+    this.isKeyboardActive = false;
+    this.lensOrigin = { x: 0, y: 0 }; // Viewport point shown at the lens top-left corner in the last frame
+    this.inspectedColor = null; // { r, g, b, a, hex, rgb, oklch } of the pixel under the inspector
+    this.measurement = null; // { start, end } in capture root coordinates
+    this.recording = null; // { canvas, recorder, done, timer } while recording the lens
+    this.isMeasuring = false; // The end point follows the pointer
+    this.listeners = {}; // event type -> handler array
+    this.isReady = false;
+    this.isEnabled = true; // disable() hides the lens and stops input, drawing and capturing
+    this.isPaused = false; // pause() freezes the lens content until resume()
+    this.isStarted = false; // init() got as far as starting drawing and input handling
+    this.isDestroyed = false;
+    this.runId = 0; // Bumped by teardown(), so captures and loads still in flight are discarded
+    this.captureAdapter = null;
+    this.html2canvas = null; // html2canvas function resolved by the loader
+    this.isCaptureReady = false;
+    
+    // Resolves once the capture backend has loaded and the first snapshot exists
+    this.ready = new Promise((resolve, reject) => {
+      this.resolveReady = resolve;
+      this.rejectReady = reject;
+    });
+    // Callers that never await `ready` shouldn't see unhandled rejections
+    this.ready.catch(() => {});
     
     // DOM elements
+    this.targetElement = null;
     this.magnifierElement = null;
+    this.liveRegion = null;
+    this.cloneLayer = null;
+    this.cloneRoot = null;
+    this.cloneStyles = []; // Copies of the page stylesheets in the clone's shadow root
+    this.crosshairElement = null;
+    this.badgeElement = null;
+    this.readoutElement = null;
+    this.filterElement = null;
     this.canvas = null;
     this.ctx = null;
     
+    // Color filter applied to the lens content (see Magnifier.filters)
+    this.filter = null;
+    this.filterSteps = []; // { matrix, linear } color matrices, adjacent ones in the same color space merged
+    this.filterUnreadable = false; // Set once the lens canvas turned out to be tainted
+    this.setFilter(options.filter || null);
+    
     // Bind methods
-    this.handleMouseDown = this.handleMouseDown.bind(this);
-    this.handleMouseMove = this.handleMouseMove.bind(this);
-    this.handleMouseUp = this.handleMouseUp.bind(this);
-    this.handleTouchStart = this.handleTouchStart.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handlePointerLeave = this.handlePointerLeave.bind(this);
     this.handleTouchMove = this.handleTouchMove.bind(this);
-    this.handleTouchEnd = this.handleTouchEnd.bind(this);
-    this.handleMouseLeave = this.handleMouseLeave.bind(this);
     this.handleResizeOrScroll = this.handleResizeOrScroll.bind(this);
+    this.handleWheel = this.handleWheel.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleFocusIn = this.handleFocusIn.bind(this);
+    this.handleMutations = this.handleMutations.bind(this);
+    this.handleAnimationEvent = this.handleAnimationEvent.bind(this);
+    this.handleResourceLoad = this.handleResourceLoad.bind(this);
+    this.handlePixelRatioChange = this.handlePixelRatioChange.bind(this);
+    this.handleCloneInput = this.handleCloneInput.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handlePageLoad = this.handlePageLoad.bind(this);
     
-    // Initialize (async - loads html2canvas internally)
+    instances.add(this);
+    
+    // Initialize (async - loads the capture backend internally)
     this.init().catch(err => {
       console.error('Magnifier initialization failed:', err);
+      this.fail(err, 'init');
+    });
+  }
+  
+  // 'magnifier' for the first instance, then 'magnifier-2', 'magnifier-3', ... while ids are taken
+  getDefaultId() {
+    const taken = new Set(Array.from(instances, instance => instance.id));
+    let id = 'magnifier';
+    for (let n = 2; taken.has(id); n++) {
+      id = `magnifier-${n}`;
+    }
+    return id;
+  }
+  
+  // Read every option except zoom and filter, which have their own setters, applying defaults
+  configure(options) {
+    this.size = options.size || 200;
+    this.shape = options.shape || 'circle'; // 'circle', 'square', 'rounded' or 'rect'
+    // Circles and squares have equal sides; 'rounded' and 'rect' lenses can differ
+    this.width = options.width || this.size;
+    this.height = this.shape === 'circle' || this.shape === 'square' ? this.width : (options.height || this.size);
+    this.id = options.id || this.id || this.getDefaultId(); // id of the lens element
+    this.className = options.className || ''; // Extra classes on the lens element, e.g. for design system styles
+    this.crosshair = options.crosshair || false; // Show a crosshair at the lens center
+    this.zoomBadge = options.zoomBadge || false; // Show the zoom level in the lens
+    this.placeholderText = options.placeholderText !== undefined ? options.placeholderText : 'Loading...'; // Shown until the first snapshot is drawn
+    this.tool = options.tool || null; // null, 'inspect' (pixel grid and color readout) or 'measure' (ruler)
+    this.gridThreshold = options.gridThreshold || 8; // Zoom from which the inspector draws the pixel grid
+    this.copyFormat = options.copyFormat || 'hex'; // Inspected color format copied to the clipboard: 'hex', 'rgb' or 'oklch'
+    this.copyKey = options.copyKey !== undefined ? options.copyKey : 'C'; // Copies the inspected color (null to disable)
+    this.snap = options.snap !== undefined ? options.snap : true; // Snap measure points to element edges under the pointer
+    this.snapDistance = options.snapDistance || 6; // Max distance (px) a measure point snaps across
+    // The default range always includes the configured zoom
+    this.minZoom = options.minZoom || Math.min(1, options.zoom || 2);
+    this.maxZoom = options.maxZoom || Math.max(10, options.zoom || 2);
+    this.zoomStep = options.zoomStep || 0.5; // Zoom change per wheel notch or +/- key press
+    this.smoothZoom = options.smoothZoom || false; // Animate zoom changes
+    this.zoomDuration = options.zoomDuration || 150; // Zoom animation length (ms)
+    this.position = options.position || { x: 20, y: 20 };
+    this.placement = options.placement || 'fixed'; // 'fixed', 'cursor' or 'offset'
+    this.offset = options.offset || { x: 20, y: 20 }; // Gap between pointer and lens in 'offset' placement
+    this.activationMode = options.activationMode || 'drag'; // 'drag' or 'move'
+    // Activation per pointerType ('drag', 'move' or 'none'); fingers can't hover, so touch drags by default
+    this.pointerActivation = {
+      mouse: this.activationMode,
+      pen: this.activationMode,
+      touch: 'drag',
+      ...options.pointerActivation
+    };
+    this.dragThreshold = options.dragThreshold !== undefined ? options.dragThreshold : 5; // px a touch or pen moves before a drag starts (the mouse drags on press)
+    this.pressureZoom = options.pressureZoom || false; // Pen pressure sets the zoom: true (minZoom..maxZoom) or { min, max }
+    this.renderMode = options.renderMode || 'canvas'; // 'canvas' (snapshot bitmaps) or 'dom' (live DOM clone)
+    this.tileSize = options.tileSize || 512; // Snapshot tile bitmap edge in device pixels
+    this.tileMemoryBudget = options.tileMemoryBudget || 64 * 1024 * 1024; // Max bytes of cached tiles
+    this.maxCaptureScale = options.maxCaptureScale || 8; // Upper bound for zoom x devicePixelRatio capture scale
+    this.imageSmoothing = options.imageSmoothing || false; // Smooth (true) or pixelated (false) scaling in the lens
+    this.target = options.target || null; // Element or selector to scope the magnifier to (default: whole page)
+    this.frames = options.frames || false; // Magnify same-origin iframes: true for all, or a selector of the ones to include
+    this.capture = options.capture || 'html2canvas'; // Capture adapter name or adapter object
+    this.captureOptions = options.captureOptions || {}; // Passed to built-in capture adapter factories
+    this.loader = {
+      src: 'https://github.com/yorickshan/html2canvas-pro/releases/download/v1.5.13/html2canvas-pro.min.js',
+      integrity: null,  // Subresource Integrity hash for src
+      crossOrigin: null, // Defaults to 'anonymous' when integrity is set
+      nonce: null,      // CSP nonce for the injected script
+      module: null,     // Module specifier or () => import('html2canvas') instead of a script
+      timeout: 10000,   // Per-attempt load timeout (ms, 0 to wait forever)
+      retries: 1,       // Extra attempts after a failed load
+      inject: true,     // false: never inject scripts, fail if html2canvas isn't already loaded
+      ...options.loader
+    };
+    this.hotkey = options.hotkey !== undefined ? options.hotkey : 'Alt+M'; // Toggles the keyboard-driven lens (null to disable)
+    this.panStep = options.panStep || 10; // Arrow key pan distance in px (x5 with Shift)
+    this.followFocus = options.followFocus || false; // Center the keyboard-driven lens on the focused element
+    this.updateFrequency = {
+      MAIN_SNAPSHOT: 16,      // Main page snapshot interval (16ms ≈ 60fps)
+      SVG_SNAPSHOT: 16,        // SVG snapshot interval (16ms ≈ 60fps)
+      RESIZE_DEBOUNCE: 150,    // Debounce delay for resize/scroll events
+      ...options.updateFrequency
+    };
+  }
+  
+  // Subscribe to an event: 'ready', 'show', 'hide', 'move', 'zoomchange', 'filterchange', 'copy', 'measure',
+  // 'recordingstart', 'recordingstop', 'snapshotstart', 'snapshotend', 'enable', 'disable', 'pause', 'resume',
+  // 'error' or 'destroy'
+  on(type, handler) {
+    (this.listeners[type] = this.listeners[type] || []).push(handler);
+    return this;
+  }
+  
+  // Subscribe to the next occurrence of an event only
+  once(type, handler) {
+    const wrapper = (event) => {
+      this.off(type, wrapper);
+      handler.call(this, event);
+    };
+    wrapper.handler = handler;
+    return this.on(type, wrapper);
+  }
+  
+  off(type, handler) {
+    const handlers = this.listeners[type];
+    if (handlers) {
+      this.listeners[type] = handlers.filter(h => h !== handler && h.handler !== handler);
+    }
+    return this;
+  }
+  
+  emit(type, detail = {}) {
+    const handlers = this.listeners[type];
+    if (!handlers) return;
+    // Copy so handlers can unsubscribe while being called
+    handlers.slice().forEach((handler) => {
+      try {
+        handler.call(this, { type, target: this, ...detail });
+      } catch (err) {
+        console.error(`Magnifier ${type} handler failed:`, err);
+      }
     });
   }
   
+  // Report an error to 'error' listeners; rejects `ready` when it happens before the first snapshot
+  fail(error, phase) {
+    if (!this.isReady) {
+      this.rejectReady(error);
+    }
+    this.emit('error', { error, phase });
+  }
+  
+  // Resolve the html2canvas function according to the `loader` options:
+  // an existing global, an ES module import, or an injected <script> (unless inject is false)
   async loadHtml2Canvas() {
     // Check if html2canvas is already loaded
     if (typeof html2canvas !== 'undefined') {
-      return Promise.resolve(html2canvas);
+      return html2canvas;
     }
     
-    // Dynamically load html2canvas
-    return new Promise((resolve, reject) => {
-      // Check if script is already being loaded
-      const existingScript = document.querySelector('script[src*="html2canvas"]');
-      if (existingScript) {
-        // Wait for it to load
-        existingScript.addEventListener('load', () => {
-          if (typeof html2canvas !== 'undefined') {
-            resolve(html2canvas);
-          } else {
-            reject(new Error('html2canvas failed to load'));
-          }
+    const loader = this.loader;
+    if (loader.module) {
+      const mod = typeof loader.module === 'function'
+        ? await loader.module()
+        : await import(/* webpackIgnore: true */ /* @vite-ignore */ loader.module);
+      const fn = mod && (mod.default || mod.html2canvas || mod);
+      if (typeof fn !== 'function') {
+        throw new Error('html2canvas module did not export a function');
+      }
+      return fn;
+    }
+    
+    if (loader.inject === false) {
+      throw new Error(
+        'html2canvas is not loaded and script injection is disabled (loader.inject: false). ' +
+        'Include html2canvas on the page before the magnifier starts, or set loader.module.'
+      );
+    }
+    
+    // Share one pending load per script URL between instances; forget failures so they can be retried
+    let pending = html2canvasLoads.get(loader.src);
+    if (!pending) {
+      // Wait for a script the page (or another copy of this library) is still loading before injecting one
+      const existing = this.findHtml2CanvasScript(loader);
+      pending = (existing ? this.waitForHtml2CanvasScript(existing, loader) : Promise.resolve(null))
+        .then(fn => fn || this.injectHtml2CanvasScript(loader))
+        .catch((err) => {
+          html2canvasLoads.delete(loader.src);
+          throw err;
         });
-        existingScript.addEventListener('error', reject);
-        return;
+      html2canvasLoads.set(loader.src, pending);
+    }
+    return pending;
+  }
+  
+  // A <script> for `loader.src`, or one injected by this library
+  findHtml2CanvasScript(loader) {
+    const src = new URL(loader.src, document.baseURI).href;
+    const script = Array.from(document.scripts).find(el =>
+      el.hasAttribute('data-magnifier-loader') || el.src === src);
+    if (!script) return null;
+    // Scripts that have already failed won't fire another event
+    const finished = typeof performance.getEntriesByName === 'function' &&
+      performance.getEntriesByName(script.src, 'resource').length > 0;
+    return finished ? null : script;
+  }
+  
+  // Resolves with html2canvas once the script has loaded, or null if it failed or timed out
+  waitForHtml2CanvasScript(script, loader) {
+    return new Promise((resolve) => {
+      let timer = null;
+      const done = () => {
+        clearTimeout(timer);
+        script.removeEventListener('load', done);
+        script.removeEventListener('error', done);
+        resolve(typeof html2canvas !== 'undefined' ? html2canvas : null);
+      };
+      script.addEventListener('load', done);
+      script.addEventListener('error', done);
+      if (loader.timeout > 0) {
+        timer = setTimeout(done, loader.timeout);
       }
-      
-      // Create and load script
+    });
+  }
+  
+  async injectHtml2CanvasScript(loader) {
+    let lastError = null;
+    for (let attempt = 0; attempt <= loader.retries; attempt++) {
+      try {
+        return await this.loadHtml2CanvasScript(loader);
+      } catch (err) {
+        lastError = err;
+        console.warn(`html2canvas load attempt ${attempt + 1} failed:`, err.message);
+      }
+    }
+    throw lastError;
+  }
+  
+  loadHtml2CanvasScript(loader) {
+    return new Promise((resolve, reject) => {
       const script = document.createElement('script');
-      script.src = 'https://github.com/yorickshan/html2canvas-pro/releases/download/v1.5.13/html2canvas-pro.min.js';
+      script.src = loader.src;
       script.async = true;
+      // Marks scripts this library injected, instead of guessing from the URL
+      script.setAttribute('data-magnifier-loader', 'html2canvas');
+      if (loader.integrity) {
+        script.integrity = loader.integrity;
+      }
+      if (loader.crossOrigin || loader.integrity) {
+        // Subresource Integrity needs a CORS request
+        script.crossOrigin = loader.crossOrigin || 'anonymous';
+      }
+      if (loader.nonce) {
+        script.nonce = loader.nonce;
+      }
+      
+      let timer = null;
+      const fail = (err) => {
+        clearTimeout(timer);
+        script.remove();
+        reject(err);
+      };
+      if (loader.timeout > 0) {
+        timer = setTimeout(() => {
+          fail(new Error(`Timed out loading html2canvas from ${loader.src} after ${loader.timeout}ms`));
+        }, loader.timeout);
+      }
+      
       script.onload = () => {
+        clearTimeout(timer);
         if (typeof html2canvas !== 'undefined') {
           resolve(html2canvas);
         } else {
-          reject(new Error('html2canvas failed to load'));
+          fail(new Error(`Script ${loader.src} loaded but did not define html2canvas`));
         }
       };
       script.onerror = () => {
-        reject(new Error('Failed to load html2canvas script'));
+        fail(new Error(`Failed to load html2canvas script from ${loader.src}`));
       };
       document.head.appendChild(script);
     });
   }
   
+  // Turn the `capture` option into an adapter:
+  // { load?(): Promise, capture(element, { region, scale, backgroundColor, exclude }): Promise<CanvasImageSource> }
+  resolveCaptureAdapter(capture) {
+    if (capture && typeof capture === 'object') {
+      if (typeof capture.capture !== 'function') {
+        throw new Error('Capture adapters must implement capture(element, options)');
+      }
+      return capture;
+    }
+    
+    const factory = Magnifier.captureAdapters[capture];
+    if (!factory) {
+      throw new Error(`Unknown capture adapter: ${capture}`);
+    }
+    return factory(this, this.captureOptions);
+  }
+  
+  // Capture an element (or a region of it, in element CSS pixels) through the capture adapter,
+  // leaving out the descendants in `exclude`. Adapters that throw synchronously reject too.
+  captureElement(element, options = {}) {
+    return new Promise(resolve => resolve(this.captureAdapter.capture(element, {
+      region: options.region || null,
+      scale: options.scale || 1,
+      backgroundColor: options.backgroundColor,
+      exclude: options.exclude || []
+    })));
+  }
+  
+  // Intrinsic pixel size of any CanvasImageSource
+  getImageSize(image) {
+    return {
+      width: image.naturalWidth || image.videoWidth || image.displayWidth || image.width,
+      height: image.naturalHeight || image.videoHeight || image.displayHeight || image.height
+    };
+  }
+  
   async init() {
+    // Created while the page is still parsing (e.g. an <html-magnifier> in server-rendered markup):
+    // the target and live sources may come later in the document
+    if (document.readyState === 'loading') {
+      const runId = this.runId;
+      await new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+      if (runId !== this.runId) return;
+    }
+    
+    // Resolve the target element (selectors are looked up once the magnifier starts)
+    if (this.target) {
+      this.targetElement = this.resolveElement(this.target);
+      if (!this.targetElement) {
+        throw new Error(`Magnifier target not found: ${this.target}`);
+      }
+    }
+    
     // Create magnifier element
     this.createMagnifierElement();
     
-    // Load html2canvas if not already available
+    // The 'dom' render mode shows a live clone of the page, so nothing has to be captured
+    if (this.renderMode === 'dom') {
+      this.startRuntime();
+      this.buildClone();
+      if (!this.isReady) {
+        this.isReady = true;
+        this.resolveReady(this);
+        this.emit('ready');
+      }
+      return;
+    }
+    
+    // Load the capture backend (html2canvas by default) if not already available
+    const runId = this.runId;
+    this.captureAdapter = this.resolveCaptureAdapter(this.capture);
+    this.acquireTileCache();
     try {
-      await this.loadHtml2Canvas();
+      if (typeof this.captureAdapter.load === 'function') {
+        await this.captureAdapter.load();
+      }
+      // Destroyed or restarted by setOptions() while loading
+      if (runId !== this.runId) return;
+      this.isCaptureReady = true;
     } catch (err) {
-      console.error('Failed to load html2canvas:', err);
-      console.warn('Magnifier may not work correctly without html2canvas.');
+      if (runId !== this.runId) return;
+      console.error('Failed to load capture backend:', err);
+      console.warn('Magnifier may not work correctly without its capture backend.');
+      this.fail(err, 'load');
     }
     
-    // Start continuous update loop
-    this.startContinuousUpdate();
+    // Register live sources already in the document
+    this.discoverLiveSources();
     
-    // Add event listeners
-    this.attachEventListeners();
+    // Start drawing, input handling and change tracking
+    this.startRuntime();
     
     // Take initial snapshot
     if (document.readyState === 'complete') {
       this.takeSnapshot();
     } else {
-      window.addEventListener('load', () => {
-        setTimeout(() => {
-          this.takeSnapshot();
-        }, 100);
-      });
+      window.addEventListener('load', this.handlePageLoad);
     }
     // Note: Periodic snapshots will start when:
     // - In 'drag' mode: when user starts dragging
     // - In 'move' mode: when mouse moves
   }
   
+  // Give late images and live sources a moment after the page has loaded
+  handlePageLoad() {
+    this.pageLoadTimer = setTimeout(() => {
+      this.pageLoadTimer = null;
+      this.discoverLiveSources();
+      this.takeSnapshot();
+    }, 100);
+  }
+  
+  // Start the update loop, input handling and change tracking, unless disabled (or paused, for the loop)
+  startRuntime() {
+    this.isStarted = true;
+    if (!this.isEnabled) return;
+    if (!this.isPaused) {
+      this.startContinuousUpdate();
+    }
+    this.attachEventListeners();
+    this.startChangeTracking();
+  }
+  
+  // Undo startRuntime(): stop the loop, timers, snapshots and listeners
+  stopRuntime() {
+    this.stopContinuousUpdate();
+    this.stopPeriodicSnapshot();
+    this.removeEventListeners();
+    this.stopChangeTracking();
+    if (this.snapshotTimer) {
+      clearTimeout(this.snapshotTimer);
+      this.snapshotTimer = null;
+    }
+    this.pendingResize = false;
+    if (this.rafId !== null) {
+      cancelAnimationFrame(this.rafId);
+      this.rafId = null;
+    }
+    snapshotScheduler.waiting.delete(this);
+  }
+  
+  // Drop the pointer, pinch and keyboard state of an interaction in progress
+  resetInteraction() {
+    this.isDragging = false;
+    this.clickEndsDrag = false;
+    this.releaseDragCapture(this.dragPointerId);
+    this.dragPointerId = null;
+    this.dragStart = null;
+    this.activePointers.clear();
+    this.pinchStartDistance = 0;
+    this.isKeyboardActive = false;
+    this.isMeasuring = false;
+  }
+  
   createMagnifierElement() {
     // Create container
     this.magnifierElement = document.createElement('div');
-    this.magnifierElement.id = 'magnifier';
+    this.magnifierElement.id = this.id;
+    if (this.className) {
+      this.magnifierElement.className = this.className;
+    }
+    // The lens only duplicates what is already on the page
+    this.magnifierElement.setAttribute('aria-hidden', 'true');
+    // Keeps every instance's lens out of snapshots, clones and change tracking
+    this.magnifierElement.setAttribute('data-magnifier-ui', '');
+    this.magnifierElement.setAttribute('data-html2canvas-ignore', '');
+    // Custom properties (set on the lens class or any ancestor) theme the lens
     this.magnifierElement.style.cssText = `
       position: fixed;
       top: ${this.position.y}px;
       left: ${this.position.x}px;
-      width: ${this.size}px;
-      height: ${this.size}px;
-      border-radius: 50%;
-      border: 3px solid rgba(0, 0, 0, 0.7);
-      box-shadow: 0 6px 24px rgba(0, 0, 0, 0.3);
+      width: ${this.width}px;
+      height: ${this.height}px;
+      border-radius: ${this.getLensRadius()};
+      border: var(--magnifier-border, 3px solid rgba(0, 0, 0, 0.7));
+      box-shadow: var(--magnifier-shadow, 0 6px 24px rgba(0, 0, 0, 0.3));
       overflow: hidden;
-      background: #fff;
+      background: var(--magnifier-background, #fff);
       pointer-events: none;
-      z-index: 9999;
+      z-index: var(--magnifier-z-index, 9999);
       transform: translateZ(0);
       display: none;
     `;
     
     // Create canvas
     this.canvas = document.createElement('canvas');
-    this.canvas.width = this.size;
-    this.canvas.height = this.size;
     this.canvas.style.cssText = `
       width: 100%;
       height: 100%;
@@ -169,437 +654,3182 @@ class Magnifier {
     `;
     
     this.ctx = this.canvas.getContext('2d');
+    this.resizeCanvas();
+    
+    if (this.renderMode === 'dom') {
+      // Layer holding the DOM clone, under the (transparent) canvas; inert keeps its controls out of reach.
+      // The clone lives in the layer's shadow root, so document queries, ids, radio groups and
+      // live source discovery never see it.
+      this.cloneLayer = document.createElement('div');
+      this.cloneLayer.setAttribute('inert', '');
+      this.cloneLayer.attachShadow({ mode: 'open' });
+      this.cloneLayer.style.cssText = `
+        position: absolute;
+        left: 0;
+        top: 0;
+        display: flow-root;
+        transform-origin: 0 0;
+      `;
+      this.magnifierElement.appendChild(this.cloneLayer);
+      this.canvas.style.position = 'relative';
+    }
+    
     this.magnifierElement.appendChild(this.canvas);
+    this.createOverlays();
+    this.applyCloneFilter();
     document.body.appendChild(this.magnifierElement);
+    
+    // Visually hidden live region announcing the lens state and zoom level
+    this.liveRegion = document.createElement('div');
+    this.liveRegion.setAttribute('role', 'status');
+    this.liveRegion.setAttribute('aria-live', 'polite');
+    this.liveRegion.setAttribute('data-magnifier-ui', '');
+    this.liveRegion.setAttribute('data-html2canvas-ignore', '');
+    this.liveRegion.style.cssText = `
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      margin: -1px;
+      padding: 0;
+      overflow: hidden;
+      clip: rect(0, 0, 0, 0);
+      white-space: nowrap;
+      border: 0;
+    `;
+    document.body.appendChild(this.liveRegion);
   }
   
-  // Convert oklab color to RGB
-  oklabToRgb(l, a, b, alpha = 1) {
-    // oklab to linear RGB conversion
-    const l_ = l + 0.3963377774 * a + 0.2158037573 * b;
-    const m_ = l - 0.1055613458 * a - 0.0638541728 * b;
-    const s_ = l - 0.0894841775 * a - 1.2914855480 * b;
-    
-    const l3 = l_ * l_ * l_;
-    const m3 = m_ * m_ * m_;
-    const s3 = s_ * s_ * s_;
-    
-    const r = +4.0767416621 * l3 - 3.3077115913 * m3 + 0.2309699292 * s3;
-    const g = -1.2684380046 * l3 + 2.6097574011 * m3 - 0.3413193965 * s3;
-    const bl = -0.0041960863 * l3 - 0.7034186147 * m3 + 1.7076147010 * s3;
-    
-    // Linear RGB to sRGB
-    const toSRGB = (c) => {
-      c = Math.max(0, Math.min(1, c));
-      return c <= 0.0031308 
-        ? 12.92 * c 
-        : 1.055 * Math.pow(c, 1.0 / 2.4) - 0.055;
-    };
-    
-    const r_srgb = Math.round(toSRGB(r) * 255);
-    const g_srgb = Math.round(toSRGB(g) * 255);
-    const b_srgb = Math.round(toSRGB(bl) * 255);
+  // Set the lens color filter: a name from Magnifier.filters, { type, amount }, an array of those, or null
+  setFilter(filter) {
+    const specs = (Array.isArray(filter) ? filter : [filter])
+      .filter(Boolean)
+      .map(spec => (typeof spec === 'string' ? { type: spec } : spec));
+    const steps = [];
+    specs.forEach((spec) => {
+      const factory = Magnifier.filters[spec.type];
+      if (typeof factory !== 'function') {
+        throw new Error(`Unknown magnifier filter: ${spec.type}`);
+      }
+      const step = factory(spec.amount);
+      const last = steps[steps.length - 1];
+      // Consecutive matrices in the same color space collapse into one
+      if (last && !!last.linear === !!step.linear) {
+        last.matrix = this.multiplyColorMatrices(step.matrix, last.matrix);
+      } else {
+        steps.push({ matrix: step.matrix.slice(), linear: !!step.linear });
+      }
+    });
     
-    if (alpha < 1) {
-      return `rgba(${r_srgb}, ${g_srgb}, ${b_srgb}, ${alpha})`;
-    }
-    return `rgb(${r_srgb}, ${g_srgb}, ${b_srgb})`;
+    const previousFilter = this.filter;
+    this.filter = filter || null;
+    this.filterSteps = steps;
+    this.filterUnreadable = false;
+    this.applyCloneFilter();
+    this.emit('filterchange', { filter: this.filter, previousFilter });
   }
   
-  // Convert oklch color to RGB (via oklab)
-  oklchToRgb(l, c, h, alpha = 1) {
-    // Convert oklch to oklab
-    const a = c * Math.cos(h * Math.PI / 180);
-    const b = c * Math.sin(h * Math.PI / 180);
-    return this.oklabToRgb(l, a, b, alpha);
+  getFilter() {
+    return this.filter;
   }
   
-  // Replace oklab/oklch color functions with RGB
-  replaceColorFunction(match, colorType) {
-    try {
-      // Extract values from oklab(l a b) or oklch(l c h)
-      // Handle both space-separated and comma-separated values
-      const inner = match.replace(/okl(ab|ch)\(/i, '').replace(/\)$/, '').trim();
-      const parts = inner.split(/[\s,]+/)
-        .map(v => v.trim())
-        .filter(v => v.length > 0)
-        .map(v => parseFloat(v))
-        .filter(v => !isNaN(v));
-      
-      if (parts.length < 3) {
-        console.warn('Invalid oklab/oklch color:', match);
-        return 'rgb(128, 128, 128)'; // Fallback
-      }
-      
-      const alpha = parts.length > 3 ? parts[3] : 1;
-      
-      if (colorType === 'oklab') {
-        return this.oklabToRgb(parts[0], parts[1], parts[2], alpha);
-      } else if (colorType === 'oklch') {
-        return this.oklchToRgb(parts[0], parts[1], parts[2], alpha);
+  // Compose two 3x4 color matrices (row-major, last column is the offset): `a` applied after `b`
+  multiplyColorMatrices(a, b) {
+    const result = [];
+    for (let row = 0; row < 3; row++) {
+      for (let col = 0; col < 4; col++) {
+        let value = col === 3 ? a[row * 4 + 3] : 0;
+        for (let k = 0; k < 3; k++) {
+          value += a[row * 4 + k] * b[k * 4 + col];
+        }
+        result.push(value);
       }
-    } catch (err) {
-      console.warn('Error converting color:', match, err);
     }
-    
-    return 'rgb(128, 128, 128)';
+    return result;
+  }
+  
+  srgbToLinear(c) {
+    c = Math.max(0, Math.min(1, c));
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  }
+  
+  linearToSrgb(c) {
+    c = Math.max(0, Math.min(1, c));
+    return c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
   }
   
-  convertOklchColors(clonedDoc) {
+  // Run the filter over the lens pixels after drawing; the backing store is in device pixels
+  applyFilter() {
+    if (!this.filterSteps.length || this.filterUnreadable) return;
+    let image;
     try {
-      const styleSheets = Array.from(clonedDoc.styleSheets);
-      styleSheets.forEach((sheet) => {
-        try {
-          const rules = Array.from(sheet.cssRules || []);
-          rules.forEach((rule) => {
-            if (rule instanceof CSSStyleRule) {
-              const style = rule.style;
-              for (let i = 0; i < style.length; i++) {
-                const prop = style[i];
-                const value = style.getPropertyValue(prop);
-                if (value && (value.includes('oklch') || value.includes('oklab'))) {
-                  // Replace oklab/oklch with RGB
-                  let newValue = value;
-                  newValue = newValue.replace(/oklab\([^)]+\)/gi, (match) => 
-                    this.replaceColorFunction(match, 'oklab')
-                  );
-                  newValue = newValue.replace(/oklch\([^)]+\)/gi, (match) => 
-                    this.replaceColorFunction(match, 'oklch')
-                  );
-                  style.setProperty(prop, newValue);
-                }
-              }
-            }
-          });
-        } catch (e) {
-          // Cross-origin stylesheets
-        }
-      });
-      
-      const styleTags = clonedDoc.querySelectorAll('style');
-      styleTags.forEach((styleTag) => {
-        if (styleTag.textContent && (styleTag.textContent.includes('oklch') || styleTag.textContent.includes('oklab'))) {
-          styleTag.textContent = styleTag.textContent
-            .replace(/oklab\([^)]+\)/gi, (match) => this.replaceColorFunction(match, 'oklab'))
-            .replace(/oklch\([^)]+\)/gi, (match) => this.replaceColorFunction(match, 'oklch'));
-        }
-      });
-      
-      // Handle inline styles on elements
-      const allElements = clonedDoc.querySelectorAll('*');
-      allElements.forEach((element) => {
-        if (element.style && element.style.cssText) {
-          const cssText = element.style.cssText;
-          if (cssText.includes('oklch') || cssText.includes('oklab')) {
-            element.style.cssText = cssText
-              .replace(/oklab\([^)]+\)/gi, (match) => this.replaceColorFunction(match, 'oklab'))
-              .replace(/oklch\([^)]+\)/gi, (match) => this.replaceColorFunction(match, 'oklch'));
-          }
-        }
-      });
+      image = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
     } catch (err) {
-      console.warn('Error converting oklch/oklab colors:', err);
+      // A tainted lens (e.g. drawn from a cross-origin canvas) can't be read back
+      console.warn('Magnifier filter disabled, the lens canvas is not readable:', err);
+      this.filterUnreadable = true;
+      return;
+    }
+    
+    const data = image.data;
+    const steps = this.filterSteps;
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] === 0) continue;
+      let r = data[i] / 255;
+      let g = data[i + 1] / 255;
+      let b = data[i + 2] / 255;
+      let linear = false;
+      for (let s = 0; s < steps.length; s++) {
+        const step = steps[s];
+        if (step.linear !== linear) {
+          const convert = step.linear ? this.srgbToLinear : this.linearToSrgb;
+          r = convert(r);
+          g = convert(g);
+          b = convert(b);
+          linear = step.linear;
+        }
+        const m = step.matrix;
+        const nr = m[0] * r + m[1] * g + m[2] * b + m[3];
+        const ng = m[4] * r + m[5] * g + m[6] * b + m[7];
+        const nb = m[8] * r + m[9] * g + m[10] * b + m[11];
+        r = nr;
+        g = ng;
+        b = nb;
+      }
+      if (linear) {
+        r = this.linearToSrgb(r);
+        g = this.linearToSrgb(g);
+        b = this.linearToSrgb(b);
+      }
+      // Uint8ClampedArray rounds and clamps
+      data[i] = r * 255;
+      data[i + 1] = g * 255;
+      data[i + 2] = b * 255;
     }
+    this.ctx.putImageData(image, 0, 0);
   }
   
-  takeSnapshot() {
-    if (this.isSnapshotting || typeof html2canvas === 'undefined') {
+  // The 'dom' render mode filters the clone with the same matrices as an SVG filter
+  applyCloneFilter() {
+    if (!this.cloneLayer) return;
+    if (this.filterElement) {
+      this.filterElement.remove();
+      this.filterElement = null;
+    }
+    if (!this.filterSteps.length) {
+      this.cloneLayer.style.filter = '';
       return;
     }
     
-    this.isSnapshotting = true;
-    html2canvas(document.documentElement, {
-      scale: 1,
-      useCORS: true,
-      allowTaint: false,
-      logging: false,
-      onclone: (clonedDoc) => {
-        this.convertOklchColors(clonedDoc);
-      }
-    }).then(canvas => {
-      this.snapshotCanvas = canvas;
-      this.isSnapshotting = false;
-      if (this.rafId === null) {
-        this.rafId = requestAnimationFrame(() => this.drawMagnifier());
-      }
-    }).catch(err => {
-      console.warn('html2canvas snapshot failed:', err);
-      this.isSnapshotting = false;
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const filterId = `${this.id}-filter`;
+    this.filterElement = document.createElementNS(svgNS, 'svg');
+    this.filterElement.setAttribute('width', '0');
+    this.filterElement.setAttribute('height', '0');
+    this.filterElement.style.position = 'absolute';
+    const filter = document.createElementNS(svgNS, 'filter');
+    filter.setAttribute('id', filterId);
+    this.filterSteps.forEach((step) => {
+      const m = step.matrix;
+      const primitive = document.createElementNS(svgNS, 'feColorMatrix');
+      primitive.setAttribute('type', 'matrix');
+      primitive.setAttribute('color-interpolation-filters', step.linear ? 'linearRGB' : 'sRGB');
+      primitive.setAttribute('values', [
+        m[0], m[1], m[2], 0, m[3],
+        m[4], m[5], m[6], 0, m[7],
+        m[8], m[9], m[10], 0, m[11],
+        0, 0, 0, 1, 0
+      ].join(' '));
+      filter.appendChild(primitive);
     });
+    this.filterElement.appendChild(filter);
+    this.magnifierElement.appendChild(this.filterElement);
+    this.cloneLayer.style.filter = `url(#${filterId})`;
   }
   
-  startPeriodicSnapshot() {
-    if (this.snapshotInterval) {
-      clearInterval(this.snapshotInterval);
-    }
-    this.snapshotInterval = setInterval(() => {
-      if (!this.isSnapshotting) {
-        this.takeSnapshot();
-      }
-    }, this.updateFrequency.MAIN_SNAPSHOT);
+  getLensRadius() {
+    if (this.shape === 'circle') return '50%';
+    if (this.shape === 'rounded') return 'var(--magnifier-radius, 16px)';
+    return '0';
   }
   
-  startSvgSnapshot() {
-    const dynamicSvg = document.getElementById('dynamicSvg');
-    if (!dynamicSvg || typeof html2canvas === 'undefined') return;
+  // Crosshair and zoom badge drawn over the magnified content
+  createOverlays() {
+    if (this.crosshair) {
+      this.crosshairElement = document.createElement('div');
+      this.crosshairElement.className = 'magnifier-crosshair';
+      this.crosshairElement.style.cssText = `
+        position: absolute;
+        left: 50%;
+        top: 50%;
+        width: var(--magnifier-crosshair-size, 20px);
+        height: var(--magnifier-crosshair-size, 20px);
+        transform: translate(-50%, -50%);
+        background:
+          linear-gradient(var(--magnifier-crosshair-color, rgba(255, 0, 0, 0.8)), var(--magnifier-crosshair-color, rgba(255, 0, 0, 0.8))) center / 100% 1px no-repeat,
+          linear-gradient(var(--magnifier-crosshair-color, rgba(255, 0, 0, 0.8)), var(--magnifier-crosshair-color, rgba(255, 0, 0, 0.8))) center / 1px 100% no-repeat;
+      `;
+      this.magnifierElement.appendChild(this.crosshairElement);
+    }
     
-    if (this.svgSnapshotInterval) {
-      clearInterval(this.svgSnapshotInterval);
+    if (this.zoomBadge) {
+      this.badgeElement = document.createElement('div');
+      this.badgeElement.className = 'magnifier-badge';
+      this.badgeElement.style.cssText = `
+        position: absolute;
+        left: 50%;
+        bottom: 10%;
+        transform: translateX(-50%);
+        padding: 1px 6px;
+        border-radius: 8px;
+        background: var(--magnifier-badge-background, rgba(0, 0, 0, 0.6));
+        color: var(--magnifier-badge-color, #fff);
+        font: var(--magnifier-badge-font, 11px/1.4 Arial, sans-serif);
+        white-space: nowrap;
+      `;
+      this.magnifierElement.appendChild(this.badgeElement);
+    }
+    
+    if (this.tool === 'inspect' || this.tool === 'measure') {
+      this.readoutElement = document.createElement('div');
+      this.readoutElement.className = 'magnifier-readout';
+      this.readoutElement.style.cssText = `
+        position: absolute;
+        left: 50%;
+        top: 60%;
+        transform: translateX(-50%);
+        padding: 2px 6px;
+        border-radius: 4px;
+        border-left: 10px solid transparent;
+        background: var(--magnifier-readout-background, rgba(0, 0, 0, 0.7));
+        color: var(--magnifier-readout-color, #fff);
+        font: var(--magnifier-readout-font, 10px/1.3 monospace);
+        white-space: pre;
+      `;
+      this.magnifierElement.appendChild(this.readoutElement);
     }
-    this.svgSnapshotInterval = setInterval(() => {
-      if (!this.isSvgSnapshotting) {
-        this.isSvgSnapshotting = true;
-        html2canvas(dynamicSvg, {
-          scale: 2,
-          useCORS: true,
-          allowTaint: false,
-          logging: false,
-          backgroundColor: null,
-          onclone: (clonedDoc) => {
-            this.convertOklchColors(clonedDoc);
-          }
-        }).then(canvas => {
-          this.svgSnapshotCanvas = canvas;
-          this.isSvgSnapshotting = false;
-          const rect = dynamicSvg.getBoundingClientRect();
-          const isOverSvg = (
-            this.lastMouseX >= rect.left && this.lastMouseX <= rect.right &&
-            this.lastMouseY >= rect.top && this.lastMouseY <= rect.bottom
-          );
-          if (isOverSvg && this.rafId === null) {
-            this.rafId = requestAnimationFrame(() => this.drawMagnifier());
-          }
-        }).catch(err => {
-          console.warn('SVG snapshot failed:', err);
-          this.isSvgSnapshotting = false;
-        });
-      }
-    }, this.updateFrequency.SVG_SNAPSHOT);
   }
   
-  stopPeriodicSnapshot() {
-    if (this.snapshotInterval) {
-      clearInterval(this.snapshotInterval);
-      this.snapshotInterval = null;
-    }
-    if (this.svgSnapshotInterval) {
-      clearInterval(this.svgSnapshotInterval);
-      this.svgSnapshotInterval = null;
+  // Keep the zoom badge in step with (animated) zoom changes
+  updateOverlays() {
+    if (!this.badgeElement) return;
+    const text = this.formatZoom(this.zoom);
+    if (this.badgeElement.textContent !== text) {
+      this.badgeElement.textContent = text;
     }
   }
   
-  drawMagnifier() {
-    if (!this.canvas || !this.ctx) return;
-    
-    const sourceSize = this.size / this.zoom;
-    
-    // Clear canvas
-    this.ctx.clearRect(0, 0, this.size, this.size);
-    
-    // Draw white background
-    this.ctx.fillStyle = '#fff';
-    this.ctx.fillRect(0, 0, this.size, this.size);
-    
-    // Check if cursor is over dynamic canvas or SVG
-    const dynamicCanvas = document.getElementById('dynamicCanvas');
-    const dynamicSvg = document.getElementById('dynamicSvg');
-    
-    let isOverDynamicCanvas = false;
-    let isOverDynamicSvg = false;
-    
-    if (dynamicCanvas) {
-      const rect = dynamicCanvas.getBoundingClientRect();
-      isOverDynamicCanvas = (
-        this.lastMouseX >= rect.left && this.lastMouseX <= rect.right &&
-        this.lastMouseY >= rect.top && this.lastMouseY <= rect.bottom
-      );
+  // Draw a centered message over the whole lens, themed like the lens itself
+  drawNotice(text) {
+    this.ctx.fillStyle = this.getThemeValue('--magnifier-placeholder-background', '#e8e8e8');
+    this.ctx.fillRect(0, 0, this.width, this.height);
+    this.ctx.fillStyle = this.getThemeValue('--magnifier-placeholder-color', '#666');
+    this.ctx.font = this.getThemeValue('--magnifier-placeholder-font', '11px Arial');
+    this.ctx.textAlign = 'center';
+    this.ctx.fillText(text, this.width / 2, this.height / 2);
+  }
+  
+  // Value of a --magnifier-* custom property as seen by the lens element
+  getThemeValue(name, fallback) {
+    return getComputedStyle(this.magnifierElement).getPropertyValue(name).trim() || fallback;
+  }
+  
+  // Shared last steps for every lens source: sample the inspected pixel, filter, draw tool overlays
+  finishFrame() {
+    const inspecting = this.tool === 'inspect';
+    if (inspecting) {
+      this.sampleInspectedPixel();
     }
-    
-    if (dynamicSvg) {
-      const rect = dynamicSvg.getBoundingClientRect();
-      isOverDynamicSvg = (
-        this.lastMouseX >= rect.left && this.lastMouseX <= rect.right &&
-        this.lastMouseY >= rect.top && this.lastMouseY <= rect.bottom
-      );
+    // The 'dom' render mode filters the clone with CSS instead
+    if (this.renderMode !== 'dom') {
+      this.applyFilter();
     }
-    
-    // If over dynamic canvas, capture it directly (real-time)
-    if (isOverDynamicCanvas && dynamicCanvas instanceof HTMLCanvasElement) {
-      const rect = dynamicCanvas.getBoundingClientRect();
-      // Get cursor position relative to canvas element
-      const elemX = this.lastMouseX - rect.left;
-      const elemY = this.lastMouseY - rect.top;
-      
-      // Calculate source region centered on cursor (cursor at center of magnifier)
-      const elemSourceX = Math.max(0, Math.min(elemX - sourceSize / 2, rect.width - sourceSize));
-      const elemSourceY = Math.max(0, Math.min(elemY - sourceSize / 2, rect.height - sourceSize));
-      
-      this.ctx.save();
-      this.ctx.imageSmoothingEnabled = false;
+    if (inspecting) {
+      this.drawInspector();
+    } else if (this.tool === 'measure') {
+      this.drawMeasurement();
+    }
+  }
+  
+  // Lens box (CSS pixels) of the page pixel under the focus point
+  getInspectedPixelBox() {
+    return {
+      x: (Math.floor(this.lastMouseX) - this.lensOrigin.x) * this.zoom,
+      y: (Math.floor(this.lastMouseY) - this.lensOrigin.y) * this.zoom,
+      size: this.zoom
+    };
+  }
+  
+  // Read the inspected pixel back from the lens before filters and overlays touch it
+  sampleInspectedPixel() {
+    const box = this.getInspectedPixelBox();
+    const x = Math.floor((box.x + box.size / 2) * this.pixelRatio);
+    const y = Math.floor((box.y + box.size / 2) * this.pixelRatio);
+    let color = null;
+    if (x >= 0 && y >= 0 && x < this.canvas.width && y < this.canvas.height) {
       try {
-        this.ctx.drawImage(
-          dynamicCanvas,
-          elemSourceX, elemSourceY, sourceSize, sourceSize,
-          0, 0, this.size, this.size
-        );
+        const [r, g, b, a] = this.ctx.getImageData(x, y, 1, 1).data;
+        // Nothing drawn there (e.g. the 'dom' render mode, which has no pixels to read)
+        if (a > 0) {
+          color = this.describeColor(r, g, b, a);
+        }
       } catch (err) {
-        console.warn('Canvas draw error:', err);
+        // Tainted lens: the color can't be read
       }
-      this.ctx.restore();
-      this.rafId = null;
-      return;
     }
-    
-    // If over dynamic SVG, use cached SVG snapshot
-    if (isOverDynamicSvg && this.svgSnapshotCanvas) {
-      const rect = dynamicSvg.getBoundingClientRect();
-      // Get cursor position relative to SVG element
-      const elemX = this.lastMouseX - rect.left;
-      const elemY = this.lastMouseY - rect.top;
-      
-      // Calculate scale between SVG element and snapshot
-      const svgScale = this.svgSnapshotCanvas.width / rect.width;
-      
-      // Convert cursor position to snapshot coordinates
-      const snapX = elemX * svgScale;
-      const snapY = elemY * svgScale;
+    this.inspectedColor = color;
+  }
+  
+  // Pixel grid at high zoom, outline around the inspected pixel, and the color readout
+  drawInspector() {
+    const ctx = this.ctx;
+    ctx.save();
+    if (this.zoom >= this.gridThreshold) {
+      ctx.beginPath();
+      for (let x = (Math.ceil(this.lensOrigin.x) - this.lensOrigin.x) * this.zoom; x < this.width; x += this.zoom) {
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, this.height);
+      }
+      for (let y = (Math.ceil(this.lensOrigin.y) - this.lensOrigin.y) * this.zoom; y < this.height; y += this.zoom) {
+        ctx.moveTo(0, y);
+        ctx.lineTo(this.width, y);
+      }
+      ctx.strokeStyle = this.getThemeValue('--magnifier-grid-color', 'rgba(128, 128, 128, 0.4)');
+      ctx.lineWidth = 1 / this.pixelRatio;
+      ctx.stroke();
+    }
+    
+    const box = this.getInspectedPixelBox();
+    ctx.strokeStyle = this.getThemeValue('--magnifier-highlight-color', '#ff0000');
+    ctx.lineWidth = 2 / this.pixelRatio;
+    ctx.strokeRect(box.x, box.y, box.size, box.size);
+    ctx.restore();
+    
+    const color = this.inspectedColor;
+    this.setReadout(color ? `${color.hex}\n${color.rgb}\n${color.oklch}` : '–', color ? color.rgb : 'transparent');
+  }
+  
+  // Update the tool readout in the lens; an empty text hides it
+  setReadout(text, swatch = 'transparent') {
+    if (!this.readoutElement || this.readoutElement.textContent === text) return;
+    this.readoutElement.textContent = text;
+    this.readoutElement.style.display = text ? '' : 'none';
+    this.readoutElement.style.borderLeftColor = swatch;
+  }
+  
+  // Snap a viewport point to the nearest edges of the elements under it, within snapDistance
+  snapPoint(x, y) {
+    if (!this.snap || typeof document.elementsFromPoint !== 'function') {
+      return { x, y };
+    }
+    const snapped = { x, y };
+    let bestX = this.snapDistance;
+    let bestY = this.snapDistance;
+    // The lens and its overlays don't take pointer events, so they are never hit
+    document.elementsFromPoint(x, y).forEach((element) => {
+      const rect = element.getBoundingClientRect();
+      [rect.left, rect.right].forEach((edge) => {
+        if (Math.abs(edge - x) <= bestX) {
+          bestX = Math.abs(edge - x);
+          snapped.x = edge;
+        }
+      });
+      [rect.top, rect.bottom].forEach((edge) => {
+        if (Math.abs(edge - y) <= bestY) {
+          bestY = Math.abs(edge - y);
+          snapped.y = edge;
+        }
+      });
+    });
+    return snapped;
+  }
+  
+  // Capture root point for a viewport point, snapped to element edges
+  getMeasurePoint(x, y) {
+    const snapped = this.snapPoint(x, y);
+    return this.getRootPoint(snapped.x, snapped.y);
+  }
+  
+  // Anchor a measurement at a viewport point; the end follows the focus point until finished
+  startMeasurement(x, y) {
+    const point = this.getMeasurePoint(x, y);
+    this.measurement = { start: point, end: { ...point } };
+    this.isMeasuring = true;
+  }
+  
+  finishMeasurement() {
+    if (!this.isMeasuring) return;
+    this.isMeasuring = false;
+    const result = this.getMeasurement();
+    this.announce(`Distance ${Math.round(result.distance)} pixels`);
+    this.emit('measure', result);
+  }
+  
+  clearMeasurement() {
+    this.measurement = null;
+    this.isMeasuring = false;
+  }
+  
+  // Last measurement in capture root CSS pixels (document coordinates for the whole page);
+  // angle is in degrees, clockwise from the positive x axis
+  getMeasurement() {
+    if (!this.measurement) return null;
+    const { start, end } = this.measurement;
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    return {
+      start: { ...start },
+      end: { ...end },
+      dx,
+      dy,
+      distance: Math.hypot(dx, dy),
+      angle: Math.atan2(dy, dx) * 180 / Math.PI
+    };
+  }
+  
+  // Ruler line and end points over the lens, with distance, dx/dy and angle in the readout
+  drawMeasurement() {
+    const result = this.getMeasurement();
+    if (!result) {
+      this.setReadout('');
+      return;
+    }
+    
+    // Root coordinates -> lens coordinates
+    const origin = this.getRootOrigin();
+    const toLens = (point) => ({
+      x: (point.x + origin.left - this.lensOrigin.x) * this.zoom,
+      y: (point.y + origin.top - this.lensOrigin.y) * this.zoom
+    });
+    const start = toLens(result.start);
+    const end = toLens(result.end);
+    
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.strokeStyle = this.getThemeValue('--magnifier-measure-color', '#e0245e');
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(start.x, start.y);
+    ctx.lineTo(end.x, end.y);
+    ctx.stroke();
+    // The anchor can be outside the lens; the line still points at it
+    [start, end].forEach((point) => {
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, 4, 0, Math.PI * 2);
+      ctx.stroke();
+    });
+    ctx.restore();
+    
+    const round = (value) => Math.round(value * 10) / 10;
+    this.setReadout(`${round(result.distance)} px\ndx ${round(result.dx)}  dy ${round(result.dy)}\n${round(result.angle)}°`);
+  }
+  
+  // sRGB to oklab, the inverse of oklabToRgb; r, g, b in 0..1
+  rgbToOklab(r, g, b) {
+    const lr = this.srgbToLinear(r);
+    const lg = this.srgbToLinear(g);
+    const lb = this.srgbToLinear(b);
+    
+    const l_ = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m_ = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s_ = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+    
+    return {
+      l: 0.2104542553 * l_ + 0.7936177850 * m_ - 0.0040720468 * s_,
+      a: 1.9779984951 * l_ - 2.4285922050 * m_ + 0.4505937099 * s_,
+      b: 0.0259040371 * l_ + 0.7827717662 * m_ - 0.8086757660 * s_
+    };
+  }
+  
+  // Format a pixel (0-255 channels) as HEX, RGB and OKLCH strings
+  describeColor(r, g, b, a = 255) {
+    const hexByte = (value) => value.toString(16).padStart(2, '0');
+    const lab = this.rgbToOklab(r / 255, g / 255, b / 255);
+    const chroma = Math.hypot(lab.a, lab.b);
+    // Hue is meaningless for grays
+    const hue = chroma < 0.0005 ? 0 : (Math.atan2(lab.b, lab.a) * 180 / Math.PI + 360) % 360;
+    const alpha = a < 255 ? Math.round(a / 255 * 100) / 100 : 1;
+    return {
+      r, g, b, a,
+      hex: `#${hexByte(r)}${hexByte(g)}${hexByte(b)}${a < 255 ? hexByte(a) : ''}`,
+      rgb: alpha < 1 ? `rgba(${r}, ${g}, ${b}, ${alpha})` : `rgb(${r}, ${g}, ${b})`,
+      oklch: `oklch(${(lab.l * 100).toFixed(1)}% ${chroma.toFixed(3)} ${hue.toFixed(1)}${alpha < 1 ? ` / ${alpha}` : ''})`
+    };
+  }
+  
+  // Color of the pixel under the inspector, or null when there is none (or it can't be read)
+  getInspectedColor() {
+    return this.inspectedColor;
+  }
+  
+  // Copy the inspected color to the clipboard in `format` (default copyFormat); resolves to the copied text
+  copyInspectedColor(format = this.copyFormat) {
+    const color = this.inspectedColor;
+    if (!color) {
+      return Promise.reject(new Error('No inspected color to copy'));
+    }
+    const value = color[format];
+    if (!value) {
+      return Promise.reject(new Error(`Unknown color format: ${format}`));
+    }
+    if (!navigator.clipboard || !navigator.clipboard.writeText) {
+      return Promise.reject(new Error('Clipboard API not available'));
+    }
+    return navigator.clipboard.writeText(value).then(() => {
+      this.announce(`Copied ${value}`);
+      this.emit('copy', { color, format, value });
+      return value;
+    });
+  }
+  
+  // Size the lens backing store in device pixels; drawing code keeps using CSS pixels
+  resizeCanvas() {
+    if (!this.canvas) return;
+    this.canvas.width = Math.round(this.width * this.pixelRatio);
+    this.canvas.height = Math.round(this.height * this.pixelRatio);
+    this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+  }
+  
+  // Apply the imageSmoothing option before drawing snapshots into the lens
+  applyImageSmoothing() {
+    this.ctx.imageSmoothingEnabled = this.imageSmoothing;
+    if (this.imageSmoothing) {
+      this.ctx.imageSmoothingQuality = 'high';
+    }
+  }
+  
+  // Follow devicePixelRatio changes, e.g. when the window moves to another monitor
+  watchPixelRatio() {
+    if (typeof window.matchMedia !== 'function') return;
+    this.pixelRatioQuery = window.matchMedia(`(resolution: ${this.pixelRatio}dppx)`);
+    this.pixelRatioQuery.addEventListener('change', this.handlePixelRatioChange, { once: true });
+  }
+  
+  unwatchPixelRatio() {
+    if (this.pixelRatioQuery) {
+      this.pixelRatioQuery.removeEventListener('change', this.handlePixelRatioChange);
+      this.pixelRatioQuery = null;
+    }
+  }
+  
+  handlePixelRatioChange() {
+    this.pixelRatio = window.devicePixelRatio || 1;
+    this.resizeCanvas();
+    // Tiles for the new capture scale are fetched on demand; the old ones fill in until then
+    this.takeSnapshot();
+    this.watchPixelRatio();
+  }
+  
+  announce(message) {
+    if (this.liveRegion) {
+      this.liveRegion.textContent = message;
+    }
+  }
+  
+  formatZoom(zoom) {
+    return `${Math.round(zoom * 10) / 10}x`;
+  }
+  
+  // Convert oklab color to RGB
+  oklabToRgb(l, a, b, alpha = 1) {
+    return this.formatColor({ xyz: this.colorToXyz('oklab', [l, a, b]), alpha });
+  }
+  
+  // Convert oklch color to RGB (via oklab)
+  oklchToRgb(l, c, h, alpha = 1) {
+    return this.formatColor({ xyz: this.colorToXyz('oklch', [l, c, h]), alpha });
+  }
+  
+  // Multiply a 3x3 matrix (array of rows) with a color vector
+  transformColor(matrix, [x, y, z]) {
+    return matrix.map(row => row[0] * x + row[1] * y + row[2] * z);
+  }
+  
+  // Convert coordinates in a CSS color space to CIE XYZ (D65); null for unsupported spaces.
+  // hsl/hwb take [hue, 0..1, 0..1]; polar spaces take the hue in degrees.
+  colorToXyz(space, coords) {
+    const [c0, c1, c2] = coords;
+    // Transfer functions extended to negative values, as in CSS Color 4
+    const srgbDecode = c => Math.sign(c) * (Math.abs(c) <= 0.04045 ? Math.abs(c) / 12.92 : Math.pow((Math.abs(c) + 0.055) / 1.055, 2.4));
+    const polarToLab = () => [c0, c1 * Math.cos(c2 * Math.PI / 180), c1 * Math.sin(c2 * Math.PI / 180)];
+    
+    switch (space) {
+      case 'srgb':
+        return this.transformColor(COLOR_MATRICES.linearSrgbToXyz, coords.map(srgbDecode));
+      case 'srgb-linear':
+        return this.transformColor(COLOR_MATRICES.linearSrgbToXyz, coords);
+      case 'display-p3':
+        return this.transformColor(COLOR_MATRICES.linearP3ToXyz, coords.map(srgbDecode));
+      case 'rec2020': {
+        const alpha = 1.09929682680944;
+        const beta = 0.018053968510807;
+        const decode = c => Math.sign(c) * (Math.abs(c) < beta * 4.5 ? Math.abs(c) / 4.5 : Math.pow((Math.abs(c) + alpha - 1) / alpha, 1 / 0.45));
+        return this.transformColor(COLOR_MATRICES.linearRec2020ToXyz, coords.map(decode));
+      }
+      case 'a98-rgb':
+        return this.transformColor(COLOR_MATRICES.linearA98ToXyz, coords.map(c => Math.sign(c) * Math.pow(Math.abs(c), 563 / 256)));
+      case 'prophoto-rgb': {
+        const decode = c => (Math.abs(c) <= 16 / 512 ? c / 16 : Math.sign(c) * Math.pow(Math.abs(c), 1.8));
+        const xyzD50 = this.transformColor(COLOR_MATRICES.linearProPhotoToXyzD50, coords.map(decode));
+        return this.transformColor(COLOR_MATRICES.d50ToD65, xyzD50);
+      }
+      case 'xyz':
+      case 'xyz-d65':
+        return coords.slice();
+      case 'xyz-d50':
+        return this.transformColor(COLOR_MATRICES.d50ToD65, coords);
+      case 'lab':
+      case 'lch': {
+        const [l, a, b] = space === 'lch' ? polarToLab() : coords;
+        // CIE Lab (D50) to XYZ
+        const kappa = 24389 / 27;
+        const epsilon = 216 / 24389;
+        const fy = (l + 16) / 116;
+        const fx = a / 500 + fy;
+        const fz = fy - b / 200;
+        const xyzD50 = [
+          (fx * fx * fx > epsilon ? fx * fx * fx : (116 * fx - 16) / kappa) * D50_WHITE[0],
+          (l > kappa * epsilon ? fy * fy * fy : l / kappa) * D50_WHITE[1],
+          (fz * fz * fz > epsilon ? fz * fz * fz : (116 * fz - 16) / kappa) * D50_WHITE[2]
+        ];
+        return this.transformColor(COLOR_MATRICES.d50ToD65, xyzD50);
+      }
+      case 'oklab':
+      case 'oklch': {
+        const lms = this.transformColor(COLOR_MATRICES.oklabToLms, space === 'oklch' ? polarToLab() : coords);
+        return this.transformColor(COLOR_MATRICES.lmsToXyz, lms.map(c => c * c * c));
+      }
+      case 'hsl':
+        return this.colorToXyz('srgb', this.hslToSrgb(c0, c1, c2));
+      case 'hwb': {
+        // Whiteness and blackness adding up to 100% or more give a gray
+        if (c1 + c2 >= 1) {
+          const gray = c1 / (c1 + c2);
+          return this.colorToXyz('srgb', [gray, gray, gray]);
+        }
+        const rgb = this.hslToSrgb(c0, 1, 0.5).map(c => c * (1 - c1 - c2) + c1);
+        return this.colorToXyz('srgb', rgb);
+      }
+      default:
+        return null;
+    }
+  }
+  
+  // Convert CIE XYZ (D65) to coordinates in a color-mix() interpolation space; null for unsupported spaces
+  xyzToColor(space, xyz) {
+    const srgbEncode = c => Math.sign(c) * (Math.abs(c) <= 0.0031308 ? Math.abs(c) * 12.92 : 1.055 * Math.pow(Math.abs(c), 1 / 2.4) - 0.055);
+    const labToPolar = ([l, a, b]) => [l, Math.hypot(a, b), (Math.atan2(b, a) * 180 / Math.PI + 360) % 360];
+    
+    switch (space) {
+      case 'srgb':
+        return this.transformColor(COLOR_MATRICES.xyzToLinearSrgb, xyz).map(srgbEncode);
+      case 'srgb-linear':
+        return this.transformColor(COLOR_MATRICES.xyzToLinearSrgb, xyz);
+      case 'display-p3':
+        return this.transformColor(COLOR_MATRICES.xyzToLinearP3, xyz).map(srgbEncode);
+      case 'xyz':
+      case 'xyz-d65':
+        return xyz.slice();
+      case 'xyz-d50':
+        return this.transformColor(COLOR_MATRICES.d65ToD50, xyz);
+      case 'lab':
+      case 'lch': {
+        const kappa = 24389 / 27;
+        const epsilon = 216 / 24389;
+        const f = this.transformColor(COLOR_MATRICES.d65ToD50, xyz)
+          .map((c, i) => c / D50_WHITE[i])
+          .map(c => (c > epsilon ? Math.cbrt(c) : (kappa * c + 16) / 116));
+        const lab = [116 * f[1] - 16, 500 * (f[0] - f[1]), 200 * (f[1] - f[2])];
+        return space === 'lch' ? labToPolar(lab) : lab;
+      }
+      case 'oklab':
+      case 'oklch': {
+        const lms = this.transformColor(COLOR_MATRICES.xyzToLms, xyz).map(Math.cbrt);
+        const lab = this.transformColor(COLOR_MATRICES.lmsToOklab, lms);
+        return space === 'oklch' ? labToPolar(lab) : lab;
+      }
+      case 'hsl':
+      case 'hwb': {
+        const [r, g, b] = this.xyzToColor('srgb', xyz);
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const d = max - min;
+        let hue = 0;
+        if (d > 0) {
+          if (max === r) hue = ((g - b) / d + 6) % 6;
+          else if (max === g) hue = (b - r) / d + 2;
+          else hue = (r - g) / d + 4;
+        }
+        hue *= 60;
+        if (space === 'hwb') return [hue, min, 1 - max];
+        const light = (max + min) / 2;
+        const sat = d === 0 ? 0 : d / (1 - Math.abs(2 * light - 1));
+        return [hue, sat, light];
+      }
+      default:
+        return null;
+    }
+  }
+  
+  // hsl with saturation/lightness in 0..1 to sRGB
+  hslToSrgb(hue, sat, light) {
+    const h = ((hue % 360) + 360) % 360;
+    const f = (n) => {
+      const k = (n + h / 30) % 12;
+      return light - sat * Math.min(light, 1 - light) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    };
+    return [f(0), f(8), f(4)];
+  }
+  
+  // Split function arguments into comma-separated groups of whitespace-separated tokens.
+  // Nested functions stay single tokens; '/' becomes its own token.
+  splitColorArgs(inner) {
+    const groups = [[]];
+    let token = '';
+    let depth = 0;
+    const push = () => {
+      if (token) groups[groups.length - 1].push(token);
+      token = '';
+    };
+    for (const ch of inner) {
+      if (ch === '(') depth++;
+      if (ch === ')') depth--;
+      if (depth === 0 && (ch === ',' || ch === '/' || /\s/.test(ch))) {
+        push();
+        if (ch === ',') groups.push([]);
+        if (ch === '/') groups[groups.length - 1].push('/');
+      } else {
+        token += ch;
+      }
+    }
+    push();
+    return groups;
+  }
+  
+  // Parse a number, percentage (of `percentRef`) or angle; NaN for anything else (calc(), var(), ...)
+  parseColorComponent(token, percentRef, isHue) {
+    if (token.toLowerCase() === 'none') return 0;
+    const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|rad|grad|turn)?$/i.exec(token);
+    if (!match) return NaN;
+    const value = parseFloat(match[1]);
+    const unit = (match[2] || '').toLowerCase();
+    if (unit === '%') return isHue ? NaN : value / 100 * percentRef;
+    if (unit && !isHue) return NaN;
+    if (unit === 'rad') return value * 180 / Math.PI;
+    if (unit === 'grad') return value * 0.9;
+    if (unit === 'turn') return value * 360;
+    return value;
+  }
+  
+  // Parse any CSS color into { xyz, alpha }, or null when it can't be resolved statically
+  parseColor(text) {
+    const value = text.trim();
+    const lower = value.toLowerCase();
+    if (lower === 'transparent') {
+      return { xyz: [0, 0, 0], alpha: 0 };
+    }
+    if (lower[0] === '#') {
+      return this.parseHexColor(lower);
+    }
+    const match = /^([a-z-]+)\(([\s\S]*)\)$/.exec(lower);
+    if (!match) {
+      return this.parseNamedColor(lower);
+    }
+    
+    const name = match[1];
+    const args = this.splitColorArgs(match[2]);
+    if (name === 'color-mix') {
+      return this.parseColorMix(args);
+    }
+    
+    // Legacy syntax separates every component, including alpha, with commas
+    let tokens = [].concat(...args);
+    let alphaToken;
+    const slash = tokens.indexOf('/');
+    if (slash !== -1) {
+      alphaToken = tokens[slash + 1];
+      tokens = tokens.slice(0, slash);
+    } else if (args.length === 4) {
+      alphaToken = tokens[3];
+      tokens = tokens.slice(0, 3);
+    }
+    
+    let spec = COLOR_FUNCTIONS[name];
+    if (name === 'color') {
+      spec = { space: tokens.shift(), refs: [1, 1, 1] };
+    }
+    if (!spec || tokens.length !== 3) return null;
+    
+    const coords = tokens.map((token, i) => {
+      const isHue = i === spec.hue;
+      return this.parseColorComponent(token, spec.refs[i], isHue) * (spec.scale ? spec.scale[i] : 1);
+    });
+    const alpha = alphaToken === undefined ? 1 : this.parseColorComponent(alphaToken, 1, false);
+    if (coords.some(isNaN) || isNaN(alpha)) return null;
+    
+    const xyz = this.colorToXyz(spec.space, coords);
+    return xyz ? { xyz, alpha: Math.max(0, Math.min(1, alpha)) } : null;
+  }
+  
+  parseHexColor(hex) {
+    let digits = hex.slice(1);
+    if (!/^[0-9a-f]+$/.test(digits) || ![3, 4, 6, 8].includes(digits.length)) return null;
+    if (digits.length <= 4) {
+      digits = digits.split('').map(d => d + d).join('');
+    }
+    const bytes = digits.match(/../g).map(pair => parseInt(pair, 16) / 255);
+    return { xyz: this.colorToXyz('srgb', bytes.slice(0, 3)), alpha: bytes.length === 4 ? bytes[3] : 1 };
+  }
+  
+  // Named colors are resolved by the browser's canvas color parser
+  parseNamedColor(name) {
+    if (name === 'currentcolor' || !/^[a-z]+$/.test(name) || typeof document === 'undefined') return null;
+    if (!this.colorContext) {
+      this.colorContext = document.createElement('canvas').getContext('2d');
+    }
+    const ctx = this.colorContext;
+    if (!ctx) return null;
+    // An invalid color leaves fillStyle unchanged, so try two different starting values
+    ctx.fillStyle = '#000';
+    ctx.fillStyle = name;
+    const first = ctx.fillStyle;
+    ctx.fillStyle = '#fff';
+    ctx.fillStyle = name;
+    if (ctx.fillStyle !== first || first[0] !== '#') return null;
+    return this.parseHexColor(first);
+  }
+  
+  // color-mix(in <space> [<hue method> hue], <color> [<percentage>], <color> [<percentage>])
+  parseColorMix(args) {
+    const [method, ...colorArgs] = args;
+    if (!method || method[0] !== 'in' || colorArgs.length !== 2) return null;
+    const space = method[1];
+    const hueMethod = method.length === 4 ? method[2] : 'shorter';
+    
+    const items = colorArgs.map((tokens) => {
+      if (tokens.length < 1 || tokens.length > 2) return null;
+      let percent = null;
+      let color = null;
+      tokens.forEach((token) => {
+        if (/^[\d.]+%$/.test(token)) {
+          percent = parseFloat(token);
+        } else {
+          color = this.parseColor(token);
+        }
+      });
+      return color && { color, percent };
+    });
+    if (!items[0] || !items[1]) return null;
+    
+    // Missing percentages complement each other; a sum under 100% makes the result transparent-er
+    let p1 = items[0].percent;
+    let p2 = items[1].percent;
+    if (p1 === null && p2 === null) {
+      p1 = p2 = 50;
+    } else if (p1 === null) {
+      p1 = 100 - p2;
+    } else if (p2 === null) {
+      p2 = 100 - p1;
+    }
+    const sum = p1 + p2;
+    if (sum <= 0) return null;
+    const alphaScale = Math.min(sum, 100) / 100;
+    p1 /= sum;
+    p2 /= sum;
+    
+    const c1 = this.xyzToColor(space, items[0].color.xyz);
+    const c2 = this.xyzToColor(space, items[1].color.xyz);
+    if (!c1 || !c2) return null;
+    const a1 = items[0].color.alpha;
+    const a2 = items[1].color.alpha;
+    
+    const hue = { lch: 2, oklch: 2, hsl: 0, hwb: 0 }[space];
+    if (hue !== undefined) {
+      // A powerless hue (grays) takes the other color's hue
+      const powerless = (c) => (space === 'hwb' ? c[1] + c[2] >= 1 : c[1] < 1e-4);
+      if (powerless(c1)) c1[hue] = c2[hue];
+      if (powerless(c2)) c2[hue] = c1[hue];
+      const diff = c2[hue] - c1[hue];
+      if (hueMethod === 'longer') {
+        if (diff > 0 && diff < 180) c1[hue] += 360;
+        else if (diff > -180 && diff <= 0) c2[hue] += 360;
+      } else if (hueMethod === 'increasing') {
+        if (diff < 0) c2[hue] += 360;
+      } else if (hueMethod === 'decreasing') {
+        if (diff > 0) c1[hue] += 360;
+      } else if (diff > 180) {
+        c1[hue] += 360;
+      } else if (diff < -180) {
+        c2[hue] += 360;
+      }
+    }
+    
+    // Interpolate with premultiplied alpha
+    const alpha = a1 * p1 + a2 * p2;
+    const mixed = c1.map((value, i) => {
+      if (i === hue) return value * p1 + c2[i] * p2;
+      if (alpha === 0) return value * p1 + c2[i] * p2;
+      return (value * a1 * p1 + c2[i] * a2 * p2) / alpha;
+    });
+    return { xyz: this.colorToXyz(space, mixed), alpha: alpha * alphaScale };
+  }
+  
+  // Format a parsed color as rgb()/rgba(), clipped to the sRGB gamut
+  formatColor(color) {
+    const [r, g, b] = this.xyzToColor('srgb', color.xyz)
+      .map(c => Math.round(Math.max(0, Math.min(1, c)) * 255));
+    const alpha = Math.round(color.alpha * 1000) / 1000;
+    if (alpha < 1) {
+      return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
+    return `rgb(${r}, ${g}, ${b})`;
+  }
+  
+  // Rewrite CSS Color 4/5 functions (lab, lch, oklab, oklch, hwb, color, color-mix) in a CSS value or
+  // stylesheet as rgb()/rgba(). Colors that can't be resolved statically (var(), calc(), currentcolor) are kept.
+  convertCssColors(text) {
+    if (!text || !MODERN_COLOR_PATTERN.test(text)) return text;
+    const pattern = /(oklab|oklch|lab|lch|hwb|color-mix|color)\(/gi;
+    let result = '';
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(text))) {
+      const start = match.index;
+      // Part of a longer name, e.g. a custom property
+      if (start > 0 && /[\w-]/.test(text[start - 1])) continue;
+      
+      let depth = 0;
+      let end = -1;
+      for (let i = start + match[0].length - 1; i < text.length; i++) {
+        if (text[i] === '(') {
+          depth++;
+        } else if (text[i] === ')' && --depth === 0) {
+          end = i;
+          break;
+        }
+      }
+      if (end === -1) break;
+      
+      const source = text.slice(start, end + 1);
+      const color = this.parseColor(source);
+      // Unresolvable functions may still contain convertible colors, e.g. color-mix(in oklab, var(--a), oklch(...))
+      const replacement = color
+        ? this.formatColor(color)
+        : match[0] + this.convertCssColors(source.slice(match[0].length, -1)) + ')';
+      result += text.slice(last, start) + replacement;
+      last = end + 1;
+      pattern.lastIndex = end + 1;
+    }
+    return result + text.slice(last);
+  }
+  
+  // html2canvas onclone hook: rewrite modern color syntax stock html2canvas can't parse in stylesheets,
+  // inline styles, SVG paint attributes and (for var()-based colors) computed styles
+  convertModernColors(clonedDoc) {
+    // Set when a color is left unconverted, e.g. color-mix() over var()
+    let unresolved = false;
+    const convert = (text) => {
+      const converted = this.convertCssColors(text);
+      if (converted && MODERN_COLOR_PATTERN.test(converted)) {
+        unresolved = true;
+      }
+      return converted;
+    };
+    
+    try {
+      const convertRules = (rules) => {
+        Array.from(rules || []).forEach((rule) => {
+          // @media, @supports, @layer and other grouping rules
+          if (rule.cssRules) {
+            convertRules(rule.cssRules);
+          }
+          if (!rule.style) return;
+          const style = rule.style;
+          for (let i = 0; i < style.length; i++) {
+            const prop = style[i];
+            const value = style.getPropertyValue(prop);
+            const converted = convert(value);
+            if (converted !== value) {
+              style.setProperty(prop, converted, style.getPropertyPriority(prop));
+            }
+          }
+        });
+      };
+      Array.from(clonedDoc.styleSheets).forEach((sheet) => {
+        try {
+          convertRules(sheet.cssRules);
+        } catch (e) {
+          // Cross-origin stylesheets
+        }
+      });
+      
+      const styleTags = clonedDoc.querySelectorAll('style');
+      styleTags.forEach((styleTag) => {
+        const converted = convert(styleTag.textContent);
+        if (converted !== styleTag.textContent) {
+          styleTag.textContent = converted;
+        }
+      });
+      
+      const view = clonedDoc.defaultView;
+      clonedDoc.querySelectorAll('*').forEach((element) => {
+        // Inline styles
+        if (element.style && element.style.cssText) {
+          const converted = convert(element.style.cssText);
+          if (converted !== element.style.cssText) {
+            element.style.cssText = converted;
+          }
+        }
+        // SVG presentation attributes
+        SVG_COLOR_ATTRIBUTES.forEach((name) => {
+          const value = element.getAttribute(name);
+          const converted = value && convert(value);
+          if (converted !== value) {
+            element.setAttribute(name, converted);
+          }
+        });
+      });
+      
+      // Colors built from var() only resolve in computed styles
+      if (!unresolved || !view) return;
+      clonedDoc.querySelectorAll('*').forEach((element) => {
+        if (element.style) {
+          const computed = view.getComputedStyle(element);
+          COLOR_PROPERTIES.forEach((prop) => {
+            const value = computed.getPropertyValue(prop);
+            const converted = this.convertCssColors(value);
+            if (converted !== value) {
+              element.style.setProperty(prop, converted);
+            }
+          });
+        }
+      });
+    } catch (err) {
+      console.warn('Error converting CSS colors:', err);
+    }
+  }
+  
+  getCaptureRoot() {
+    return this.targetElement || document.documentElement;
+  }
+  
+  // Viewport position of the capture root's origin (document origin for the whole page)
+  getRootOrigin() {
+    const root = this.getCaptureRoot();
+    if (root === document.documentElement) {
+      return { left: -window.scrollX, top: -window.scrollY };
+    }
+    const rect = root.getBoundingClientRect();
+    return { left: rect.left, top: rect.top };
+  }
+  
+  // Size of the capture root in CSS pixels (the whole scrollable page, or the target's border box)
+  getRootSize() {
+    const root = this.getCaptureRoot();
+    if (root === document.documentElement) {
+      return { width: root.scrollWidth, height: root.scrollHeight };
+    }
+    const rect = root.getBoundingClientRect();
+    return { width: rect.width, height: rect.height };
+  }
+  
+  // Map a viewport point to capture root CSS pixels
+  getRootPoint(clientX, clientY) {
+    const origin = this.getRootOrigin();
+    return { x: clientX - origin.left, y: clientY - origin.top };
+  }
+  
+  // Element box relative to the capture root, in root CSS pixels
+  getRootRelativeRect(element) {
+    const origin = this.getRootOrigin();
+    const rect = element.getBoundingClientRect();
+    return {
+      x: rect.left - origin.left,
+      y: rect.top - origin.top,
+      width: rect.width,
+      height: rect.height
+    };
+  }
+  
+  // Device pixels per CSS pixel for captures: zoom x devicePixelRatio, capped by maxCaptureScale.
+  // Rounded up to half steps so zoom animations don't create a new tile grid every frame.
+  getCaptureScale() {
+    const scale = Math.min(this.targetZoom * this.pixelRatio, this.maxCaptureScale);
+    return Math.max(1, Math.ceil(scale * 2) / 2);
+  }
+  
+  // Tiles of the capture root that intersect a root-relative rect. Tile bitmaps are at most
+  // tileSize device pixels, so a tile covers tileSize / scale CSS pixels (whole pixels, no seams).
+  getTilesInRect(rect, scale) {
+    const rootSize = this.getRootSize();
+    const tileSize = Math.max(16, Math.floor(this.tileSize / scale));
+    const firstCol = Math.max(0, Math.floor(rect.x / tileSize));
+    const firstRow = Math.max(0, Math.floor(rect.y / tileSize));
+    const lastCol = Math.min(Math.ceil(rootSize.width / tileSize), Math.ceil((rect.x + rect.width) / tileSize)) - 1;
+    const lastRow = Math.min(Math.ceil(rootSize.height / tileSize), Math.ceil((rect.y + rect.height) / tileSize)) - 1;
+    
+    const tiles = [];
+    for (let row = firstRow; row <= lastRow; row++) {
+      for (let col = firstCol; col <= lastCol; col++) {
+        const x = col * tileSize;
+        const y = row * tileSize;
+        tiles.push({
+          key: `${scale}|${col},${row}`,
+          scale,
+          x,
+          y,
+          width: Math.min(tileSize, rootSize.width - x),
+          height: Math.min(tileSize, rootSize.height - y)
+        });
+      }
+    }
+    return tiles;
+  }
+  
+  // Whether two root-relative rects overlap
+  rectsIntersect(a, b) {
+    return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+  }
+  
+  // Visible part of the viewport in capture root CSS pixels
+  getViewportRect() {
+    const origin = this.getRootOrigin();
+    return { x: -origin.left, y: -origin.top, width: window.innerWidth, height: window.innerHeight };
+  }
+  
+  // Tiles worth capturing at the current scale: those under the lens first, then the rest of
+  // the viewport nearest first, limited to what fits in half the memory budget
+  getNeededTiles() {
+    const scale = this.getCaptureScale();
+    const point = this.getRootPoint(this.lastMouseX, this.lastMouseY);
+    const sourceWidth = this.width / this.targetZoom;
+    const sourceHeight = this.height / this.targetZoom;
+    const lensTiles = this.getTilesInRect({
+      x: point.x - sourceWidth / 2,
+      y: point.y - sourceHeight / 2,
+      width: sourceWidth,
+      height: sourceHeight
+    }, scale);
+    
+    const distance = (tile) => Math.hypot(tile.x + tile.width / 2 - point.x, tile.y + tile.height / 2 - point.y);
+    const lensKeys = new Set(lensTiles.map(tile => tile.key));
+    const viewportTiles = this.getTilesInRect(this.getViewportRect(), scale)
+      .filter(tile => !lensKeys.has(tile.key))
+      .sort((a, b) => distance(a) - distance(b));
+    
+    const maxTiles = Math.max(lensTiles.length, Math.floor(this.tileMemoryBudget / 2 / (this.tileSize * this.tileSize * 4)));
+    return lensTiles.concat(viewportTiles).slice(0, maxTiles);
+  }
+  
+  // Needed tiles that are missing or stale, in capture order
+  getOutdatedTiles() {
+    return this.getNeededTiles().filter((tile) => {
+      if (this.tileCache.pendingTiles.has(tile.key)) return false;
+      const cached = this.tileCache.tiles.get(tile.key);
+      return !cached || cached.stale;
+    });
+  }
+  
+  // Capture tiles into the cache with a single capture of the area they cover, which is sliced up
+  // afterwards. Capture backends render the whole document however small the region is, so one call
+  // per tile would multiply the work. Resolves to false when the capture failed.
+  captureTiles(tiles) {
+    const cache = this.tileCache;
+    const epoch = cache.epoch;
+    const runId = this.runId;
+    const left = Math.min(...tiles.map(tile => tile.x));
+    const top = Math.min(...tiles.map(tile => tile.y));
+    const region = {
+      x: left,
+      y: top,
+      width: Math.max(...tiles.map(tile => tile.x + tile.width)) - left,
+      height: Math.max(...tiles.map(tile => tile.y + tile.height)) - top
+    };
+    // Mutations during the capture mark the pending entries, so those tiles are stored as stale
+    const pending = tiles.map((tile) => {
+      const entry = { x: tile.x, y: tile.y, width: tile.width, height: tile.height, stale: false };
+      cache.pendingTiles.set(tile.key, entry);
+      return entry;
+    });
+    this.isSnapshotting = true;
+    snapshotScheduler.busy = true;
+    const startTime = performance.now();
+    this.emit('snapshotstart', { source: 'page', region });
+    
+    return this.captureElement(this.getCaptureRoot(), { region, scale: tiles[0].scale, exclude: this.getLayerElements() }).then(image => {
+      tiles.forEach(tile => cache.pendingTiles.delete(tile.key));
+      // Captures can't be aborted; the result is dropped when the magnifier was destroyed or restarted meanwhile
+      if (runId !== this.runId) return false;
+      this.isSnapshotting = false;
+      // The layout changed (resize) while capturing, or a live source moved this instance to another cache
+      if (epoch !== cache.epoch || cache !== this.tileCache) return true;
+      
+      // Stored last to first, so the tiles under the lens end up most recently used
+      for (let i = tiles.length - 1; i >= 0; i--) {
+        const tileImage = tiles.length === 1 ? image : this.sliceTile(image, region, tiles[i]);
+        const { width, height } = this.getImageSize(tileImage);
+        this.storeTile({ ...tiles[i], image: tileImage, stale: pending[i].stale, bytes: width * height * 4 });
+      }
+      
+      const duration = performance.now() - startTime;
+      this.stats.captures++;
+      this.stats.lastCaptureDuration = duration;
+      this.emit('snapshotend', { source: 'page', region, duration });
+      if (!this.isReady) {
+        this.isReady = true;
+        this.resolveReady(this);
+        this.emit('ready');
+      }
+      this.requestDraw();
+      return true;
+    }).catch(err => {
+      tiles.forEach(tile => cache.pendingTiles.delete(tile.key));
+      if (runId !== this.runId) return false;
+      console.warn('Snapshot failed:', err);
+      this.isSnapshotting = false;
+      this.fail(err, 'snapshot');
+      return false;
+    }).finally(() => this.finishCapture());
+  }
+  
+  // Copy the part of a capture of `region` that `tile` covers
+  sliceTile(image, region, tile) {
+    const size = this.getImageSize(image);
+    const scaleX = size.width / region.width;
+    const scaleY = size.height / region.height;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(tile.width * scaleX));
+    canvas.height = Math.max(1, Math.round(tile.height * scaleY));
+    canvas.getContext('2d').drawImage(
+      image,
+      (tile.x - region.x) * scaleX, (tile.y - region.y) * scaleY, canvas.width, canvas.height,
+      0, 0, canvas.width, canvas.height
+    );
+    return canvas;
+  }
+  
+  // Redraw once a capture finished, also when the update loop isn't running
+  requestDraw() {
+    if (this.rafId === null && this.isEnabled && !this.isPaused) {
+      this.rafId = requestAnimationFrame(() => this.drawMagnifier());
+    }
+  }
+  
+  // Hand the scheduler to the next waiting instance; runs for discarded captures too
+  finishCapture() {
+    snapshotScheduler.busy = false;
+    const next = snapshotScheduler.waiting.values().next().value;
+    if (next) {
+      snapshotScheduler.waiting.delete(next);
+      next.takeSnapshot();
+    }
+  }
+  
+  // Add a tile as most recently used and evict the least recently used ones over the memory budget
+  storeTile(tile) {
+    const cache = this.tileCache;
+    this.removeTile(tile.key);
+    cache.tiles.set(tile.key, tile);
+    cache.bytes += tile.bytes;
+    
+    for (const key of cache.tiles.keys()) {
+      if (cache.bytes <= this.tileMemoryBudget || cache.tiles.size <= 1) break;
+      this.removeTile(key);
+      this.stats.evictions++;
+    }
+  }
+  
+  removeTile(key) {
+    const tile = this.tileCache.tiles.get(key);
+    if (tile) {
+      this.tileCache.bytes -= tile.bytes;
+      this.tileCache.tiles.delete(key);
+    }
+  }
+  
+  // Mark a tile as recently used
+  touchTile(tile) {
+    this.tileCache.tiles.delete(tile.key);
+    this.tileCache.tiles.set(tile.key, tile);
+  }
+  
+  // Drop every tile, e.g. after a resize changed the layout
+  clearTiles() {
+    this.tileCache.tiles.clear();
+    this.tileCache.pendingTiles.clear();
+    this.tileCache.bytes = 0;
+    this.tileCache.epoch++;
+  }
+  
+  createTileCache() {
+    return {
+      tiles: new Map(), // 'scale|col,row' -> { key, scale, x, y, width, height, image, stale, bytes }, least recently used first
+      pendingTiles: new Map(), // 'scale|col,row' -> { x, y, width, height, stale } for tiles being captured
+      bytes: 0,
+      epoch: 0, // Bumped when all tiles are dropped, to discard captures in flight
+      users: new Set(), // Instances drawing from this cache
+      root: null,
+      key: null
+    };
+  }
+  
+  // Share tiles with other instances that capture the same root with the same adapter settings
+  // and live sources (which tiles leave out). Adapter objects and options holding functions can't be
+  // compared, so those keep a private cache.
+  acquireTileCache() {
+    const options = this.captureOptions;
+    const shareable = typeof this.capture === 'string' &&
+      !Object.keys(options).some(name => typeof options[name] === 'function');
+    if (shareable) {
+      const root = this.getCaptureRoot();
+      const key = this.getTileCacheKey();
+      if (!tileCaches.has(root)) {
+        tileCaches.set(root, new Map());
+      }
+      const caches = tileCaches.get(root);
+      if (!caches.has(key)) {
+        caches.set(key, Object.assign(this.tileCache, { root, key }));
+      }
+      this.tileCache = caches.get(key);
+    }
+    this.tileCache.users.add(this);
+  }
+  
+  getTileCacheKey() {
+    const sources = Array.from(this.liveSources.keys()).map((element) => {
+      if (!elementKeys.has(element)) {
+        elementKeys.set(element, nextElementKey++);
+      }
+      return elementKeys.get(element);
+    }).sort((a, b) => a - b);
+    return `${this.capture}|${this.tileSize}|${JSON.stringify(this.captureOptions)}|${sources.join(',')}`;
+  }
+  
+  // Move to the shared cache for the current live sources after one was added or removed
+  rekeyTileCache() {
+    const cache = this.tileCache;
+    if (!cache.key || !cache.users.has(this)) return;
+    const key = this.getTileCacheKey();
+    if (key === cache.key) return;
+    const caches = tileCaches.get(cache.root);
+    if (cache.users.size === 1 && !caches.has(key)) {
+      // Nobody else uses the tiles, so they are kept; markDirty() outdates the ones under the source
+      caches.delete(cache.key);
+      cache.key = key;
+      caches.set(key, cache);
+      return;
+    }
+    this.releaseTileCache();
+    this.tileCache = this.createTileCache();
+    this.acquireTileCache();
+    this.requestDraw();
+  }
+  
+  // Leave the tile cache, dropping it once no instance uses it
+  releaseTileCache() {
+    const cache = this.tileCache;
+    cache.users.delete(this);
+    if (cache.users.size > 0) return;
+    
+    this.clearTiles();
+    const caches = cache.root && tileCaches.get(cache.root);
+    if (caches) {
+      caches.delete(cache.key);
+      if (caches.size === 0) {
+        tileCaches.delete(cache.root);
+      }
+    }
+  }
+  
+  // After scrolling, drop stale tiles and tiles more than a viewport away from the visible area
+  evictOffscreenTiles() {
+    const viewport = this.getViewportRect();
+    const keep = {
+      x: viewport.x - viewport.width,
+      y: viewport.y - viewport.height,
+      width: viewport.width * 3,
+      height: viewport.height * 3
+    };
+    
+    Array.from(this.tileCache.tiles.values()).forEach((tile) => {
+      if (tile.stale || !this.rectsIntersect(tile, keep)) {
+        this.removeTile(tile.key);
+        this.stats.evictions++;
+      }
+    });
+  }
+  
+  // Capture every tile around the pointer and in the viewport (and every pinned layer) that is missing
+  // or stale when called. What becomes outdated meanwhile is left to the next call, so a capture that
+  // changes the page itself can't keep this going.
+  takeSnapshot(queue = null) {
+    if (this.isSnapshotting || !this.isCaptureReady || !this.isEnabled || this.isPaused) {
+      return Promise.resolve();
+    }
+    // Another instance is capturing; finishCapture() calls back
+    if (snapshotScheduler.busy) {
+      snapshotScheduler.waiting.add(this);
+      return Promise.resolve();
+    }
+    
+    this.updatePinnedLayers();
+    if (!queue) {
+      queue = new Set([...this.getOutdatedPinnedLayers(), ...this.getOutdatedTiles().map(tile => tile.key)]);
+    }
+    // Pinned layers come first, since they are drawn on top of the tiles
+    const layer = this.getOutdatedPinnedLayers().find(item => queue.has(item));
+    const tiles = layer ? [] : this.getOutdatedTiles().filter(item => queue.has(item.key));
+    if (!layer && tiles.length === 0) return Promise.resolve();
+    if (layer) {
+      queue.delete(layer);
+    } else {
+      tiles.forEach(tile => queue.delete(tile.key));
+    }
+    return (layer ? this.capturePinnedLayer(layer) : this.captureTiles(tiles)).then((ok) => {
+      if (ok) return this.takeSnapshot(queue);
+    });
+  }
+  
+  // Called every MAIN_SNAPSHOT ms while magnifying: capture the next outdated pinned layer, or the outdated tiles
+  refreshSnapshot() {
+    if (this.isSnapshotting || snapshotScheduler.busy || !this.isCaptureReady) return;
+    
+    // Running animations keep their tiles outdated
+    this.runningAnimations.forEach((count, element) => {
+      this.markDirty(element.parentElement);
+    });
+    
+    this.updatePinnedLayers();
+    const layer = this.getNextPinnedLayer();
+    if (layer) {
+      this.capturePinnedLayer(layer);
+      return;
+    }
+    const tiles = this.getOutdatedTiles();
+    if (tiles.length === 0) {
+      this.stats.skipped++;
+      return;
+    }
+    this.captureTiles(tiles);
+  }
+  
+  // Mark the tiles under `element` (the box that bounds a change) as outdated; all tiles when unknown
+  markDirty(element) {
+    // Tiles leave pinned elements out, so changes inside one only outdate its layer
+    const layer = element && this.getPinnedLayerOf(element);
+    if (layer) {
+      layer.stale = true;
+      return;
+    }
+    
+    const root = this.getCaptureRoot();
+    let rect = null;
+    if (element && element !== root && root.contains(element) && element !== document.body) {
+      rect = this.getRootRelativeRect(element);
+      if (rect.width === 0 && rect.height === 0) return;
+    }
+    
+    // Tiles of every scale, including the ones being captured
+    const markStale = (tile) => {
+      if (!rect || this.rectsIntersect(tile, rect)) {
+        tile.stale = true;
+      }
+    };
+    this.tileCache.tiles.forEach(markStale);
+    this.tileCache.pendingTiles.forEach(markStale);
+    this.pinnedLayers.forEach((pinned) => {
+      if (!rect || element.contains(pinned.element)) {
+        pinned.stale = true;
+      }
+    });
+  }
+  
+  // Elements left out of page tiles: live sources and pinned elements are drawn from their own images
+  getLayerElements() {
+    return Array.from(this.liveSources.keys()).concat(Array.from(this.pinnedLayers.keys()));
+  }
+  
+  // Pinned layer of the position: fixed/sticky element that contains `element`, or null
+  getPinnedLayerOf(element) {
+    if (this.pinnedLayers.size === 0) return null;
+    for (let el = element; el; el = el.parentElement) {
+      const layer = this.pinnedLayers.get(el);
+      if (layer) return layer;
+    }
+    return null;
+  }
+  
+  // Look up the outermost position: fixed/sticky elements of the capture root again after DOM or
+  // layout changes, at most once a second. Tiles are captured by document position, so they would
+  // show these elements wherever they were at capture time; each gets a layer of its own instead.
+  updatePinnedLayers() {
+    const now = performance.now();
+    if (!this.pinnedScanNeeded || now - this.pinnedScanTime < 1000) return;
+    this.pinnedScanNeeded = false;
+    this.pinnedScanTime = now;
+    
+    const found = new Set();
+    const walk = (parent) => {
+      for (let child = parent.firstElementChild; child; child = child.nextElementSibling) {
+        if (child.hasAttribute('data-magnifier-ui') || this.liveSources.has(child)) continue;
+        const position = getComputedStyle(child).position;
+        if (position === 'fixed' || position === 'sticky') {
+          found.add(child);
+        } else {
+          walk(child);
+        }
+      }
+    };
+    walk(this.getCaptureRoot());
+    
+    // Tiles were captured with or without the elements that changed
+    let changed = found.size !== this.pinnedLayers.size;
+    found.forEach((element) => {
+      if (!this.pinnedLayers.has(element)) {
+        this.pinnedLayers.set(element, { element, image: null, scale: 0, stale: true, capturing: false });
+        changed = true;
+      }
+    });
+    this.pinnedLayers.forEach((layer, element) => {
+      if (!found.has(element)) {
+        this.pinnedLayers.delete(element);
+      }
+    });
+    if (changed) {
+      this.markDirty(null);
+    }
+  }
+  
+  // Pinned layers in the viewport that are outdated or were captured at another scale
+  getOutdatedPinnedLayers() {
+    const scale = this.getCaptureScale();
+    const viewport = { x: 0, y: 0, width: window.innerWidth, height: window.innerHeight };
+    return Array.from(this.pinnedLayers.values()).filter((layer) => {
+      if (layer.capturing || (!layer.stale && layer.scale === scale)) return false;
+      const rect = layer.element.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0 && this.rectsIntersect(rect, viewport);
+    });
+  }
+  
+  // Next of them, or null when every layer is up to date
+  getNextPinnedLayer() {
+    return this.getOutdatedPinnedLayers()[0] || null;
+  }
+  
+  // Capture a pinned element on its own; resolves to true so tiles are captured next even if it failed
+  capturePinnedLayer(layer) {
+    const element = layer.element;
+    const exclude = this.getLayerElements().filter(other => other !== element);
+    // Mutations during the capture mark the layer stale again
+    layer.stale = false;
+    layer.scale = this.getCaptureScale();
+    layer.capturing = true;
+    this.isSnapshotting = true;
+    snapshotScheduler.busy = true;
+    const runId = this.runId;
+    const startTime = performance.now();
+    this.emit('snapshotstart', { source: element });
+    
+    return this.captureElement(element, { scale: layer.scale, backgroundColor: null, exclude }).then((image) => {
+      if (runId !== this.runId) return;
+      layer.image = image;
+      this.emit('snapshotend', { source: element, duration: performance.now() - startTime });
+      this.requestDraw();
+    }).catch((err) => {
+      if (runId !== this.runId) return;
+      console.warn('Pinned element snapshot failed:', err);
+      this.emit('error', { error: err, phase: 'snapshot', source: element });
+    }).then(() => {
+      layer.capturing = false;
+      if (runId !== this.runId) return false;
+      this.isSnapshotting = false;
+      return true;
+    }).finally(() => this.finishCapture());
+  }
+  
+  // Draw a root-relative source rect from the tile cache; returns false when no tile covered it.
+  // Tiles of other scales (e.g. from before a zoom change) fill gaps until the sharp ones arrive.
+  drawTiles(sx, sy, sw, sh) {
+    const ratioX = this.width / sw;
+    const ratioY = this.height / sh;
+    const source = { x: sx, y: sy, width: sw, height: sh };
+    const scale = this.getCaptureScale();
+    let drawn = 0;
+    
+    const tiles = Array.from(this.tileCache.tiles.values())
+      .filter(tile => this.rectsIntersect(tile, source))
+      .sort((a, b) => (a.scale === scale) - (b.scale === scale) || a.scale - b.scale);
+    tiles.forEach((cached) => {
+      this.touchTile(cached);
+      
+      // Intersection of the source rect and the tile
+      const ix = Math.max(sx, cached.x);
+      const iy = Math.max(sy, cached.y);
+      const iw = Math.min(sx + sw, cached.x + cached.width) - ix;
+      const ih = Math.min(sy + sh, cached.y + cached.height) - iy;
+      if (iw <= 0 || ih <= 0) return;
+      
+      const image = this.getImageSize(cached.image);
+      const scaleX = image.width / cached.width;
+      const scaleY = image.height / cached.height;
+      this.ctx.drawImage(
+        cached.image,
+        (ix - cached.x) * scaleX, (iy - cached.y) * scaleY, iw * scaleX, ih * scaleY,
+        (ix - sx) * ratioX, (iy - sy) * ratioY, iw * ratioX, ih * ratioY
+      );
+      drawn++;
+    });
+    return drawn > 0;
+  }
+  
+  // Nodes that belong to the magnifier or to live sources don't affect the page snapshot
+  isIgnoredNode(node) {
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    if (!element) return true;
+    // Lenses and live regions of all instances, and the iframe html2canvas clones the page into
+    if (element.closest('[data-magnifier-ui], .html2canvas-container')) {
+      return true;
+    }
+    for (let el = element; el; el = el.parentElement) {
+      if (this.liveSources.has(el)) return true;
+    }
+    return false;
+  }
+  
+  // Also skips mutations that only add or remove lenses or capture iframes, which every capture causes
+  isIgnoredMutation(mutation) {
+    if (this.isIgnoredNode(mutation.target)) return true;
+    // Set on excluded elements while html2canvas clones the page
+    if (mutation.attributeName === 'data-magnifier-exclude') return true;
+    if (mutation.type !== 'childList') return false;
+    const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+    return nodes.length > 0 && nodes.every(node => node.nodeType === Node.ELEMENT_NODE &&
+      node.closest('[data-magnifier-ui], .html2canvas-container') !== null);
+  }
+  
+  handleMutations(mutations) {
+    if (this.renderMode === 'dom') {
+      this.stats.mutations += mutations.filter(mutation => !this.isIgnoredMutation(mutation)).length;
+      this.syncClone(mutations);
+      if (mutations.some(mutation => this.affectsPageStyles(mutation))) {
+        this.syncCloneStyles();
+      }
+      return;
+    }
+    let rescan = false;
+    mutations.forEach((mutation) => {
+      if (this.isIgnoredMutation(mutation)) return;
+      this.stats.mutations++;
+      this.pinnedScanNeeded = true;
+      if (mutation.type === 'childList' && !rescan) {
+        rescan = this.hasLiveSourceCandidates(mutation.addedNodes) ||
+          this.hasLiveSourceCandidates(mutation.removedNodes);
+      }
+      // Attribute changes can reflow siblings, so the parent box is the smallest safe region
+      const target = mutation.target;
+      if (mutation.type === 'attributes') {
+        this.markDirty(target.parentElement);
+      } else {
+        this.markDirty(target.nodeType === Node.ELEMENT_NODE ? target : target.parentElement);
+      }
+    });
+    // Marked elements added or removed after init
+    if (rescan) {
+      this.discoverLiveSources();
+    }
+  }
+  
+  // Track running CSS animations/transitions; the snapshot stays dirty while any run
+  handleAnimationEvent(e) {
+    if (this.isIgnoredNode(e.target)) return;
+    const running = e.type === 'animationstart' || e.type === 'transitionrun';
+    const count = (this.runningAnimations.get(e.target) || 0) + (running ? 1 : -1);
+    if (count > 0) {
+      this.runningAnimations.set(e.target, count);
+    } else {
+      this.runningAnimations.delete(e.target);
+    }
+    // Capture the final frame once it has ended
+    this.markDirty(e.target.parentElement);
+  }
+  
+  // Images, iframes and fonts finishing loading change the rendering without mutating the DOM
+  handleResourceLoad(e) {
+    const element = e.target && e.target.nodeType === Node.ELEMENT_NODE ? e.target : null;
+    if (element && this.isIgnoredNode(element)) return;
+    // The clone's copy of a stylesheet that has loaded only now
+    if (this.renderMode === 'dom' && element && element.nodeName === 'LINK') {
+      this.syncCloneStyles();
+      return;
+    }
+    // A loaded image can change size and reflow its siblings
+    this.markDirty(element && element.parentElement);
+  }
+  
+  startChangeTracking() {
+    const root = this.getCaptureRoot();
+    if (typeof MutationObserver !== 'undefined') {
+      this.mutationObserver = new MutationObserver(this.handleMutations);
+      const options = {
+        subtree: true,
+        childList: true,
+        attributes: true,
+        characterData: true
+      };
+      this.mutationObserver.observe(root, options);
+      // The clone of a scoped target also copies the stylesheets in <head>
+      if (this.renderMode === 'dom' && !root.contains(document.head)) {
+        this.mutationObserver.observe(document.head, options);
+      }
+    }
+    ['animationstart', 'animationend', 'animationcancel', 'transitionrun', 'transitionend', 'transitioncancel'].forEach((type) => {
+      root.addEventListener(type, this.handleAnimationEvent, true);
+    });
+    // load doesn't bubble, so listen in the capture phase
+    root.addEventListener('load', this.handleResourceLoad, true);
+    // Form values aren't attributes, so the clone follows them through input events
+    if (this.renderMode === 'dom') {
+      root.addEventListener('input', this.handleCloneInput, true);
+      root.addEventListener('change', this.handleCloneInput, true);
+    }
+    if (document.fonts && document.fonts.addEventListener) {
+      document.fonts.addEventListener('loadingdone', this.handleResourceLoad);
+    }
+  }
+  
+  stopChangeTracking() {
+    if (this.mutationObserver) {
+      this.mutationObserver.disconnect();
+      this.mutationObserver = null;
+    }
+    const root = this.getCaptureRoot();
+    ['animationstart', 'animationend', 'animationcancel', 'transitionrun', 'transitionend', 'transitioncancel'].forEach((type) => {
+      root.removeEventListener(type, this.handleAnimationEvent, true);
+    });
+    root.removeEventListener('load', this.handleResourceLoad, true);
+    root.removeEventListener('input', this.handleCloneInput, true);
+    root.removeEventListener('change', this.handleCloneInput, true);
+    if (document.fonts && document.fonts.removeEventListener) {
+      document.fonts.removeEventListener('loadingdone', this.handleResourceLoad);
+    }
+    this.runningAnimations.clear();
+  }
+  
+  // Capture counters, e.g. to verify how many captures change tracking saved
+  getStats() {
+    return { ...this.stats, tiles: this.tileCache.tiles.size, tileBytes: this.tileCache.bytes };
+  }
+  
+  // 'dom' render mode: replace the lens content with a fresh clone of the capture root
+  buildClone() {
+    const root = this.getCaptureRoot();
+    // The page is cloned from <body>; the clone layer stands in for <html>
+    const source = root === document.documentElement ? document.body : root;
+    this.cloneMap = new WeakMap();
+    this.clonedMedia = [];
+    this.cloneRoot = this.cloneNode(source);
+    this.cloneStyles = this.copyPageStyles(source);
+    this.cloneLayer.shadowRoot.replaceChildren(...this.cloneStyles, this.cloneRoot);
+    // Scroll offsets can only be set once the clone is laid out
+    this.syncCloneState(source);
+  }
+  
+  // Page stylesheets don't reach into the shadow root, so copies go in front of the clone. Rules are
+  // read through the CSSOM, which includes rules inserted by script; cross-origin sheets can't be
+  // read, so their <link> is cloned instead. Styles inside `source` are part of the clone itself.
+  copyPageStyles(source) {
+    const styles = [];
+    Array.from(document.styleSheets).forEach((sheet) => {
+      const owner = sheet.ownerNode;
+      if (sheet.disabled || !owner || source.contains(owner) || this.isIgnoredNode(owner)) return;
+      let cssText = null;
+      try {
+        cssText = Array.from(sheet.cssRules, rule => rule.cssText).join('\n');
+      } catch (err) {
+        // Cross-origin stylesheet
+      }
+      if (cssText !== null) {
+        const style = document.createElement('style');
+        if (sheet.media && sheet.media.mediaText) {
+          style.setAttribute('media', sheet.media.mediaText);
+        }
+        style.textContent = cssText;
+        styles.push(style);
+      } else if (owner.nodeName === 'LINK') {
+        styles.push(owner.cloneNode(false));
+      }
+    });
+    const shadow = this.cloneLayer.shadowRoot;
+    if (document.adoptedStyleSheets && shadow.adoptedStyleSheets !== undefined) {
+      shadow.adoptedStyleSheets = Array.from(document.adoptedStyleSheets);
+    }
+    return styles;
+  }
+  
+  // Copy the page stylesheets again after one outside the clone was added, removed, changed or loaded
+  syncCloneStyles() {
+    if (!this.cloneLayer || !this.cloneRoot) return;
+    const root = this.getCaptureRoot();
+    const source = root === document.documentElement ? document.body : root;
+    this.cloneStyles.forEach(style => style.remove());
+    this.cloneStyles = this.copyPageStyles(source);
+    this.cloneLayer.shadowRoot.prepend(...this.cloneStyles);
+  }
+  
+  // Whether a mutation touches a <style> or <link> element outside the cloned subtree
+  affectsPageStyles(mutation) {
+    const nodes = [mutation.target, ...mutation.addedNodes, ...mutation.removedNodes];
+    return nodes.some((node) => {
+      const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      return !!element && (element.nodeName === 'STYLE' || element.nodeName === 'LINK') && !this.cloneMap.has(element);
+    });
+  }
+  
+  // Deep-clone a node for the lens, remembering the mapping so mutations can be replayed
+  cloneNode(node) {
+    if (node.nodeName === 'SCRIPT' || (node.nodeType === Node.ELEMENT_NODE && node.hasAttribute('data-magnifier-ui'))) {
+      return null;
+    }
+    // A cloned <html-magnifier> would start another magnifier inside the lens
+    if (Magnifier.Element && node instanceof Magnifier.Element) {
+      return null;
+    }
+    let clone;
+    if (node.nodeName === 'CANVAS' || node.nodeName === 'VIDEO') {
+      // Bitmaps aren't cloned; a stand-in canvas is repainted from the original every frame
+      clone = document.createElement('canvas');
+      this.copyStandInAttributes(node, clone);
+      this.clonedMedia.push({ original: node, clone });
+    } else if (['IFRAME', 'AUDIO', 'OBJECT', 'EMBED'].includes(node.nodeName)) {
+      // Cloning a frame, plugin or audio element would load (and maybe play) it a second time
+      clone = document.createElement('div');
+      this.copyStandInAttributes(node, clone);
+    } else {
+      clone = node.cloneNode(false);
+      if (clone.nodeType === Node.ELEMENT_NODE) {
+        Array.from(clone.attributes).forEach((attr) => {
+          if (this.isOmittedCloneAttribute(attr.name)) clone.removeAttributeNode(attr);
+        });
+      }
+      node.childNodes.forEach((child) => {
+        const childClone = this.cloneNode(child);
+        if (childClone) clone.appendChild(childClone);
+      });
+    }
+    this.cloneMap.set(node, clone);
+    return clone;
+  }
+  
+  // Inline event handlers (e.g. an <img onload>) would run a second time for the clone
+  isOmittedCloneAttribute(name) {
+    return /^on/i.test(name);
+  }
+  
+  // Give a canvas/div stand-in the original's attributes and on-page size
+  copyStandInAttributes(original, clone) {
+    Array.from(original.attributes).forEach((attr) => {
+      if (attr.name !== 'width' && attr.name !== 'height' && attr.name !== 'src' && !this.isOmittedCloneAttribute(attr.name)) {
+        clone.setAttributeNS(attr.namespaceURI, attr.name, attr.value);
+      }
+    });
+    this.sizeStandIn(original, clone);
+  }
+  
+  sizeStandIn(original, clone) {
+    const width = `${original.offsetWidth}px`;
+    const height = `${original.offsetHeight}px`;
+    if (clone.style.width !== width || clone.style.height !== height) {
+      clone.style.boxSizing = 'border-box';
+      clone.style.width = width;
+      clone.style.height = height;
+    }
+    if (original.nodeName === 'VIDEO') {
+      // Videos letterbox by default, canvases stretch
+      const style = getComputedStyle(original);
+      clone.style.objectFit = style.objectFit;
+      clone.style.objectPosition = style.objectPosition;
+    }
+  }
+  
+  // Replay mutation records onto the clone, reading the current state of each changed node
+  syncClone(mutations) {
+    mutations.forEach((mutation) => {
+      const target = mutation.target;
+      const clone = this.cloneMap.get(target);
+      // Nodes that were never cloned (the lens itself, scripts) are skipped
+      if (!clone) return;
+      const standIn = clone.nodeName !== target.nodeName;
+      
+      if (mutation.type === 'attributes') {
+        const name = mutation.attributeName;
+        if (standIn && (name === 'width' || name === 'height' || name === 'src')) return;
+        if (this.isOmittedCloneAttribute(name)) return;
+        const attr = target.getAttributeNodeNS(mutation.attributeNamespace, name);
+        if (attr) {
+          clone.setAttributeNS(attr.namespaceURI, attr.name, attr.value);
+        } else {
+          clone.removeAttributeNS(mutation.attributeNamespace, name);
+        }
+        if (standIn) this.sizeStandIn(target, clone);
+      } else if (mutation.type === 'characterData') {
+        clone.data = target.data;
+      } else if (!standIn) {
+        // Added nodes may have changed while detached, so they are always cloned afresh
+        mutation.addedNodes.forEach((node) => this.cloneMap.delete(node));
+        this.syncCloneChildren(target, clone);
+      }
+    });
+  }
+  
+  // Make the clone's children mirror the original's, cloning new nodes and dropping removed ones
+  syncCloneChildren(original, clone) {
+    const children = [];
+    original.childNodes.forEach((child) => {
+      const childClone = this.cloneMap.get(child) || this.cloneNode(child);
+      if (childClone) children.push(childClone);
+    });
+    // Remove first, so unchanged siblings aren't moved (which would restart their animations)
+    const keep = new Set(children);
+    Array.from(clone.childNodes).forEach((node) => {
+      if (!keep.has(node)) clone.removeChild(node);
+    });
+    children.forEach((child, i) => {
+      if (clone.childNodes[i] !== child) {
+        clone.insertBefore(child, clone.childNodes[i] || null);
+      }
+    });
+  }
+  
+  // Form values and scroll offsets aren't attributes, so mutations never report them
+  copyCloneState(original) {
+    const clone = this.cloneMap.get(original);
+    if (!clone) return;
+    if (original.nodeName === 'INPUT' || original.nodeName === 'TEXTAREA') {
+      // File inputs only accept an empty value from scripts
+      if (original.type !== 'file' && clone.value !== original.value) clone.value = original.value;
+      clone.checked = original.checked;
+    } else if (original.nodeName === 'OPTION') {
+      clone.selected = original.selected;
+    }
+    if (original.scrollTop || original.scrollLeft || clone.scrollTop || clone.scrollLeft) {
+      clone.scrollTop = original.scrollTop;
+      clone.scrollLeft = original.scrollLeft;
+    }
+  }
+  
+  // Copy form values and scroll offsets of an element and its descendants
+  syncCloneState(element) {
+    this.copyCloneState(element);
+    element.querySelectorAll('*').forEach((el) => this.copyCloneState(el));
+  }
+  
+  handleCloneInput(e) {
+    if (e.target.nodeType !== Node.ELEMENT_NODE) return;
+    this.syncCloneState(e.target);
+    // Checking a radio unchecks the rest of its group without an event
+    if (e.target.type === 'radio' && e.target.name) {
+      document.getElementsByName(e.target.name).forEach(el => this.copyCloneState(el));
+    }
+  }
+  
+  // Keep the clone laid out like the capture root and centered on the focus point
+  updateClone() {
+    if (!this.cloneLayer || !this.cloneRoot) return;
+    const setStyle = (element, property, value) => {
+      if (element.style[property] !== value) {
+        element.style[property] = value;
+      }
+    };
+    
+    const root = this.getCaptureRoot();
+    if (root === document.documentElement) {
+      setStyle(this.cloneLayer, 'width', `${root.clientWidth}px`);
+    } else {
+      // A scoped target is laid out at its on-page size, at the layer origin
+      const rect = root.getBoundingClientRect();
+      setStyle(this.cloneRoot, 'position', 'relative');
+      setStyle(this.cloneRoot, 'left', '0px');
+      setStyle(this.cloneRoot, 'top', '0px');
+      setStyle(this.cloneRoot, 'margin', '0px');
+      setStyle(this.cloneRoot, 'boxSizing', 'border-box');
+      setStyle(this.cloneRoot, 'width', `${rect.width}px`);
+      setStyle(this.cloneRoot, 'height', `${rect.height}px`);
+    }
+    
+    // Same source rect as the canvas renderer, so both modes show the same area
+    const sourceWidth = this.width / this.zoom;
+    const sourceHeight = this.height / this.zoom;
+    const point = this.getRootPoint(this.lastMouseX, this.lastMouseY);
+    const rootSize = this.getRootSize();
+    const sx = Math.max(0, Math.min(point.x - sourceWidth / 2, rootSize.width - sourceWidth));
+    const sy = Math.max(0, Math.min(point.y - sourceHeight / 2, rootSize.height - sourceHeight));
+    this.lensOrigin = { x: this.lastMouseX - point.x + sx, y: this.lastMouseY - point.y + sy };
+    setStyle(this.cloneLayer, 'transform', `translate(${-sx * this.zoom}px, ${-sy * this.zoom}px) scale(${this.zoom})`);
+    
+    this.paintClonedMedia({ x: sx, y: sy, width: sourceWidth, height: sourceHeight });
+  }
+  
+  // Repaint the canvas/video stand-ins that are under the lens from their originals
+  paintClonedMedia(area) {
+    this.clonedMedia = this.clonedMedia.filter(({ original }) => original.isConnected);
+    this.clonedMedia.forEach(({ original, clone }) => {
+      if (!this.rectsIntersect(this.getRootRelativeRect(original), area)) return;
+      if (original.nodeName === 'VIDEO' && original.readyState < 2) return;
+      const { width, height } = this.getImageSize(original);
+      if (!width || !height) return;
+      
+      this.sizeStandIn(original, clone);
+      if (clone.width !== width || clone.height !== height) {
+        clone.width = width;
+        clone.height = height;
+      }
+      const ctx = clone.getContext('2d');
+      ctx.clearRect(0, 0, width, height);
+      ctx.drawImage(original, 0, 0, width, height);
+    });
+  }
+  
+  startPeriodicSnapshot() {
+    // The DOM clone never needs snapshots
+    if (this.renderMode === 'dom') return;
+    if (this.snapshotInterval) {
+      clearInterval(this.snapshotInterval);
+    }
+    this.snapshotInterval = setInterval(() => {
+      this.refreshSnapshot();
+    }, this.updateFrequency.MAIN_SNAPSHOT);
+  }
+  
+  // Resolve an element or CSS selector to an element
+  resolveElement(elementOrSelector) {
+    if (typeof elementOrSelector === 'string') {
+      return document.querySelector(elementOrSelector);
+    }
+    return elementOrSelector || null;
+  }
+  
+  // Infer the live source type from the element when none is given
+  inferLiveSourceType(element) {
+    if (element instanceof HTMLCanvasElement) return 'canvas';
+    if (element instanceof HTMLVideoElement) return 'video';
+    if (element instanceof HTMLIFrameElement) return 'frame';
+    return 'svg';
+  }
+  
+  // Register an element that is magnified in real time instead of from the page snapshot
+  // - 'canvas' and 'video' sources are drawn directly every frame
+  // - 'svg' sources are re-captured every `refreshMs` while snapshots are running
+  // - 'frame' sources (same-origin iframes) are re-captured like 'svg' and forward their pointer input
+  addLiveSource(elementOrSelector, options = {}) {
+    const element = this.resolveElement(elementOrSelector);
+    if (!element) {
+      console.warn('Magnifier live source not found:', elementOrSelector);
+      return null;
+    }
+    
+    const type = options.type || this.inferLiveSourceType(element);
+    if (!['canvas', 'svg', 'video', 'frame'].includes(type)) {
+      console.warn('Unsupported live source type:', type);
+      return null;
+    }
+    
+    // Re-registering replaces the previous options
+    this.removeLiveSource(element);
+    
+    const source = {
+      element,
+      type,
+      refreshMs: options.refreshMs || this.updateFrequency.SVG_SNAPSHOT,
+      snapshotCanvas: null,
+      isSnapshotting: false,
+      interval: null,
+      auto: !!options.auto
+    };
+    this.liveSources.set(element, source);
+    // Tiles leave live sources out
+    this.rekeyTileCache();
+    this.markDirty(element);
+    if (type === 'frame') {
+      // Navigations replace the frame's window, so listeners are re-attached on every load
+      source.handleLoad = () => {
+        this.attachFrame(source);
+        if (source.interval) {
+          this.captureLiveSource(source);
+        }
+      };
+      element.addEventListener('load', source.handleLoad);
+      this.attachFrame(source);
+    }
+    
+    // Join the running snapshot cycle right away
+    if (this.snapshotInterval) {
+      this.startLiveSourceSnapshot(source);
+    }
+    return element;
+  }
+  
+  removeLiveSource(elementOrSelector) {
+    const element = this.resolveElement(elementOrSelector);
+    const source = element && this.liveSources.get(element);
+    if (!source) return false;
+    
+    this.stopLiveSourceSnapshot(source);
+    if (source.type === 'frame') {
+      this.detachFrame(source);
+      element.removeEventListener('load', source.handleLoad);
+    }
+    source.snapshotCanvas = null;
+    this.liveSources.delete(element);
+    // Not while destroying, when the tiles may still be used by other instances
+    if (this.isCaptureReady) {
+      this.rekeyTileCache();
+      this.markDirty(element);
+    }
+    return true;
+  }
+  
+  // Whether any of the nodes is, or contains, an element discoverLiveSources() looks for
+  hasLiveSourceCandidates(nodes) {
+    const selectors = ['[data-magnifier-live]', 'video', '#dynamicCanvas', '#dynamicSvg'];
+    if (this.frames) {
+      selectors.push(typeof this.frames === 'string' ? this.frames : 'iframe');
+    }
+    const selector = selectors.join(',');
+    return Array.from(nodes).some(node => node.nodeType === Node.ELEMENT_NODE &&
+      (node.matches(selector) || node.querySelector(selector) !== null));
+  }
+  
+  // Register elements marked with data-magnifier-live="canvas|svg|video|frame" (value optional),
+  // every <video>, the legacy #dynamicCanvas / #dynamicSvg elements and, with the `frames` option, iframes
+  discoverLiveSources() {
+    // Drop auto-discovered sources that have left the document
+    this.liveSources.forEach((source, element) => {
+      if (source.auto && !element.isConnected) {
+        this.removeLiveSource(element);
+      }
+    });
+    
+    // Videos are always read directly, so they don't need the attribute
+    const candidates = Array.from(document.querySelectorAll('[data-magnifier-live], video'));
+    ['dynamicCanvas', 'dynamicSvg'].forEach((id) => {
+      const element = document.getElementById(id);
+      if (element && !candidates.includes(element)) {
+        candidates.push(element);
+      }
+    });
+    if (this.frames) {
+      const selector = typeof this.frames === 'string' ? this.frames : 'iframe';
+      document.querySelectorAll(selector).forEach((element) => {
+        if (element instanceof HTMLIFrameElement && !candidates.includes(element)) {
+          candidates.push(element);
+        }
+      });
+    }
+    
+    candidates.forEach((element) => {
+      if (this.liveSources.has(element)) return;
+      const refreshMs = parseInt(element.getAttribute('data-magnifier-refresh'), 10);
+      this.addLiveSource(element, {
+        type: element.getAttribute('data-magnifier-live') || undefined,
+        refreshMs: refreshMs > 0 ? refreshMs : undefined,
+        auto: true
+      });
+    });
+  }
+  
+  startLiveSourceSnapshots() {
+    this.liveSources.forEach((source) => this.startLiveSourceSnapshot(source));
+  }
+  
+  startLiveSourceSnapshot(source) {
+    // Canvas and video sources are read directly, only SVG and frames need snapshots
+    if ((source.type !== 'svg' && source.type !== 'frame') || !this.isCaptureReady) return;
+    
+    this.stopLiveSourceSnapshot(source);
+    source.interval = setInterval(() => {
+      if (!source.isSnapshotting) {
+        this.captureLiveSource(source);
+      }
+    }, source.refreshMs);
+  }
+  
+  stopLiveSourceSnapshot(source) {
+    if (source.interval) {
+      clearInterval(source.interval);
+      source.interval = null;
+    }
+  }
+  
+  captureLiveSource(source) {
+    let element = source.element;
+    let region = null;
+    let backgroundColor = null;
+    if (source.type === 'frame') {
+      // Capture the part of the frame document scrolled into view, on the capture backend's default background
+      const doc = this.getFrameDocument(source.element);
+      if (!doc) return;
+      element = doc.documentElement;
+      region = { x: doc.defaultView.scrollX, y: doc.defaultView.scrollY, width: element.clientWidth, height: element.clientHeight };
+      backgroundColor = undefined;
+    }
+    
+    source.isSnapshotting = true;
+    const runId = this.runId;
+    const startTime = performance.now();
+    this.emit('snapshotstart', { source: source.element });
+    this.captureElement(element, { region, scale: this.getCaptureScale(), backgroundColor }).then(canvas => {
+      source.isSnapshotting = false;
+      if (runId !== this.runId) return;
+      source.snapshotCanvas = canvas;
+      this.emit('snapshotend', { source: source.element, duration: performance.now() - startTime });
+      if (this.getLiveSourceAt(this.lastMouseX, this.lastMouseY) === source) {
+        this.requestDraw();
+      }
+    }).catch(err => {
+      source.isSnapshotting = false;
+      if (runId !== this.runId) return;
+      console.warn('Live source snapshot failed:', err);
+      this.emit('error', { error: err, phase: 'snapshot', source: source.element });
+    });
+  }
+  
+  // Find the topmost registered live source under a viewport point
+  // Unregistered <video> elements are registered on first hit, since the page snapshot can't show them
+  getLiveSourceAt(x, y) {
+    if (typeof document.elementsFromPoint === 'function') {
+      // elementsFromPoint is ordered topmost first; the hit element may be a child (e.g. an SVG shape)
+      const stack = document.elementsFromPoint(x, y);
+      for (const hit of stack) {
+        for (let node = hit; node; node = node.parentElement) {
+          const source = this.liveSources.get(node);
+          if (source) return source;
+        }
+      }
+      return null;
+    }
+    
+    // Fallback: last registered source whose box contains the point
+    let found = null;
+    this.liveSources.forEach((source) => {
+      const rect = source.element.getBoundingClientRect();
+      if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) {
+        found = source;
+      }
+    });
+    return found;
+  }
+  
+  // Document of a same-origin iframe, or null when it is cross-origin
+  getFrameDocument(frame) {
+    try {
+      return frame.contentDocument;
+    } catch (err) {
+      return null;
+    }
+  }
+  
+  // Map a point in a frame's viewport to the parent viewport. The frame viewport is painted in the
+  // iframe's content box, which may be transformed.
+  mapFramePoint(frame, x, y) {
+    const matrix = this.getElementMatrix(frame);
+    if (!matrix) return { x, y };
+    const content = this.getReplacedContentBox(frame, matrix, 0, 0);
+    return this.mapPoint(matrix, content.x + x, content.y + y);
+  }
+  
+  // Listen for input inside a same-origin frame's window. Cross-origin frames can't be read;
+  // they are reported once with an 'error' event (phase 'frame') and shown as a notice in the lens.
+  attachFrame(source) {
+    this.detachFrame(source);
+    const doc = this.getFrameDocument(source.element);
+    source.blocked = !doc;
+    if (!doc) {
+      source.snapshotCanvas = null;
+      if (!source.reported) {
+        source.reported = true;
+        const error = new Error('Cannot magnify a cross-origin iframe');
+        console.warn(error.message, source.element);
+        this.emit('error', { error, phase: 'frame', source: source.element });
+      }
+      return;
+    }
+    
+    const view = doc.defaultView;
+    const translated = handler => e => handler(this.translateFrameEvent(source.element, e));
+    source.frameListeners = [
+      ['pointerdown', translated(this.handlePointerDown)],
+      ['pointermove', translated(this.handlePointerMove)],
+      ['pointerup', translated(this.handlePointerUp)],
+      ['pointercancel', translated(this.handlePointerUp)],
+      ['touchmove', translated(this.handleTouchMove), { passive: false }],
+      ['wheel', translated(this.handleWheel), { passive: false }],
+      ['keydown', this.handleKeyDown],
+      ['click', this.handleClick, true],
+      // Scrolling the frame moves its content under the lens
+      ['scroll', () => {
+        if (source.interval && !source.isSnapshotting) {
+          this.captureLiveSource(source);
+        }
+      }, true]
+    ];
+    source.frameWindow = view;
+    source.frameListeners.forEach(([type, listener, options]) => view.addEventListener(type, listener, options));
+  }
+  
+  detachFrame(source) {
+    if (!source.frameWindow) return;
+    source.frameListeners.forEach(([type, listener, options]) => {
+      source.frameWindow.removeEventListener(type, listener, options);
+    });
+    source.frameWindow = null;
+    source.frameListeners = null;
+  }
+  
+  // Copy the parts of a frame input event the handlers use, with coordinates in the parent viewport
+  translateFrameEvent(frame, e) {
+    const point = this.mapFramePoint(frame, e.clientX, e.clientY);
+    return {
+      type: e.type,
+      target: e.target,
+      clientX: point.x,
+      clientY: point.y,
+      pointerId: e.pointerId,
+      pointerType: e.pointerType,
+      isPrimary: e.isPrimary,
+      pressure: e.pressure,
+      cancelable: e.cancelable,
+      deltaY: e.deltaY,
+      deltaMode: e.deltaMode,
+      preventDefault: () => e.preventDefault(),
+      stopPropagation: () => e.stopPropagation()
+    };
+  }
+  
+  stopPeriodicSnapshot() {
+    if (this.snapshotInterval) {
+      clearInterval(this.snapshotInterval);
+      this.snapshotInterval = null;
+    }
+    this.liveSources.forEach((source) => this.stopLiveSourceSnapshot(source));
+  }
+  
+  // Linear part of an element's own CSS transform (the transform, rotate and scale properties),
+  // or null when it has none. 3D transforms are reduced to their effect on the screen plane.
+  getOwnTransform(element) {
+    if (typeof DOMMatrix === 'undefined') return null;
+    const style = getComputedStyle(element);
+    let matrix = null;
+    const apply = (m) => {
+      matrix = matrix ? matrix.multiply(m) : m;
+    };
+    // Computed rotate is '45deg' or an axis and an angle; only rotation about z is 2D
+    const rotate = /^(?:z\s+|0\s+0\s+1\s+)?(-?[\d.]+)deg$/.exec(style.rotate || '');
+    if (rotate) {
+      apply(new DOMMatrix().rotate(parseFloat(rotate[1])));
+    }
+    if (style.scale && style.scale !== 'none') {
+      const [scaleX, scaleY = scaleX] = style.scale.split(/\s+/).map(parseFloat);
+      apply(new DOMMatrix().scale(scaleX, scaleY));
+    }
+    if (style.transform && style.transform !== 'none') {
+      apply(new DOMMatrix(style.transform));
+    }
+    return matrix;
+  }
+  
+  // Map from an element's untransformed border box (local CSS pixels) to the viewport, through the
+  // transforms of the element and its ancestors: { a, b, c, d, e, f } as in DOMMatrix, plus the
+  // local box size. The bounding box of a transformed box is centered on the image of its center,
+  // which gives the translation without resolving transform origins. Null when it has no box.
+  getElementMatrix(element) {
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return null;
+    
+    let a = 1;
+    let b = 0;
+    let c = 0;
+    let d = 1;
+    for (let el = element; el && el.nodeType === Node.ELEMENT_NODE; el = el.parentElement) {
+      const m = this.getOwnTransform(el);
+      if (m) {
+        // Ancestor transforms apply on top of the ones collected so far
+        [a, b, c, d] = [m.a * a + m.c * b, m.b * a + m.d * b, m.a * c + m.c * d, m.b * c + m.d * d];
+      }
+    }
+    
+    // Without transforms the bounding box is the border box; otherwise the size comes from layout
+    let width = rect.width;
+    let height = rect.height;
+    if (a !== 1 || b !== 0 || c !== 0 || d !== 1) {
+      width = 'offsetWidth' in element ? element.offsetWidth : element.clientWidth;
+      height = 'offsetHeight' in element ? element.offsetHeight : element.clientHeight;
+    }
+    const centerX = rect.left + rect.width / 2;
+    const centerY = rect.top + rect.height / 2;
+    return {
+      a, b, c, d,
+      e: centerX - (a * width + c * height) / 2,
+      f: centerY - (b * width + d * height) / 2,
+      width,
+      height
+    };
+  }
+  
+  // Apply a matrix from getElementMatrix() to a local point
+  mapPoint(matrix, x, y) {
+    return { x: matrix.a * x + matrix.c * y + matrix.e, y: matrix.b * x + matrix.d * y + matrix.f };
+  }
+  
+  // Make the lens context draw in `matrix` local pixels, or in viewport pixels when null
+  applyLensTransform(matrix) {
+    this.ctx.scale(this.zoom, this.zoom);
+    this.ctx.translate(-this.lensOrigin.x, -this.lensOrigin.y);
+    if (matrix) {
+      this.ctx.transform(matrix.a, matrix.b, matrix.c, matrix.d, matrix.e, matrix.f);
+    }
+  }
+  
+  // Draw a whole image into `box` (local pixels of `matrix`), clipped to `clip` when given
+  drawMappedImage(image, matrix, box, clip) {
+    const { width, height } = this.getImageSize(image);
+    if (!width || !height || box.width <= 0 || box.height <= 0) return false;
+    
+    this.ctx.save();
+    this.applyLensTransform(matrix);
+    if (clip) {
+      this.ctx.beginPath();
+      this.ctx.rect(clip.x, clip.y, clip.width, clip.height);
+      this.ctx.clip();
+    }
+    try {
+      this.ctx.drawImage(image, 0, 0, width, height, box.x, box.y, box.width, box.height);
+    } catch (err) {
+      console.warn('Live source draw error:', err);
+    }
+    this.ctx.restore();
+    return true;
+  }
+  
+  // Draw a live source where it is on screen: canvas and video directly, svg and frames from their
+  // own snapshot. Returns false when the source has nothing to draw.
+  drawLiveSource(source) {
+    const element = source.element;
+    if (source.type === 'svg') {
+      // The snapshot covers the bounding box, transforms included
+      if (!source.snapshotCanvas) return false;
+      const rect = element.getBoundingClientRect();
+      return this.drawMappedImage(source.snapshotCanvas, null, {
+        x: rect.left,
+        y: rect.top,
+        width: rect.width,
+        height: rect.height
+      }, null);
+    }
+    
+    const matrix = this.getElementMatrix(element);
+    if (!matrix) return false;
+    const content = this.getReplacedContentBox(element, matrix, 0, 0);
+    if (source.type === 'frame') {
+      if (source.blocked || !source.snapshotCanvas) return false;
+      return this.drawMappedImage(source.snapshotCanvas, matrix, content, content);
+    }
+    if (source.type === 'video') {
+      return this.drawVideoSource(source, matrix, content);
+    }
+    // Drawing a tainted bitmap would make the lens canvas unreadable for good
+    if (this.isSourceTainted(source)) return false;
+    // The bitmap is usually larger than the CSS box (devicePixelRatio backing stores)
+    const box = this.getReplacedContentBox(element, matrix, element.width, element.height);
+    return this.drawMappedImage(element, matrix, box, content);
+  }
+  
+  // Cross-origin videos, canvases and frames can't be read; the lens shows a notice over them instead
+  isUnreadableSource(source) {
+    if (source.type === 'frame') return source.blocked;
+    if (source.type === 'canvas') return this.isSourceTainted(source);
+    // Nothing is drawn before the first frame, so the check would pass whatever the origin
+    return source.type === 'video' && source.element.readyState >= 2 && this.isSourceTainted(source);
+  }
+  
+  // Parse one object-position component ('50%', '10px', 'left', ...) into an offset within `free` px
+  parseObjectPosition(value, free) {
+    const keywords = { left: 0, top: 0, center: 50, right: 100, bottom: 100 };
+    if (value in keywords) {
+      return free * keywords[value] / 100;
+    }
+    if (value.endsWith('%')) {
+      return free * parseFloat(value) / 100;
+    }
+    return parseFloat(value) || 0;
+  }
+  
+  // Compute where the intrinsic image of a replaced element (video, canvas) is painted
+  // inside its border box, honoring padding, border, object-fit and object-position
+  getReplacedContentBox(element, rect, intrinsicWidth, intrinsicHeight) {
+    const style = getComputedStyle(element);
+    const left = parseFloat(style.borderLeftWidth) + parseFloat(style.paddingLeft);
+    const top = parseFloat(style.borderTopWidth) + parseFloat(style.paddingTop);
+    const boxWidth = rect.width - left - parseFloat(style.borderRightWidth) - parseFloat(style.paddingRight);
+    const boxHeight = rect.height - top - parseFloat(style.borderBottomWidth) - parseFloat(style.paddingBottom);
+    
+    let width = boxWidth;
+    let height = boxHeight;
+    const fit = style.objectFit || 'fill';
+    if (fit !== 'fill' && intrinsicWidth > 0 && intrinsicHeight > 0) {
+      const containScale = Math.min(boxWidth / intrinsicWidth, boxHeight / intrinsicHeight);
+      const coverScale = Math.max(boxWidth / intrinsicWidth, boxHeight / intrinsicHeight);
+      let scale = containScale;
+      if (fit === 'cover') scale = coverScale;
+      if (fit === 'none') scale = 1;
+      if (fit === 'scale-down') scale = Math.min(1, containScale);
+      width = intrinsicWidth * scale;
+      height = intrinsicHeight * scale;
+    }
+    
+    // object-position defaults to '50% 50%'
+    const [posX = '50%', posY = '50%'] = (style.objectPosition || '').split(/\s+/).filter(Boolean);
+    return {
+      x: left + this.parseObjectPosition(posX, boxWidth - width),
+      y: top + this.parseObjectPosition(posY, boxHeight - height),
+      width,
+      height
+    };
+  }
+  
+  // Check whether reading a video frame or canvas would taint the lens (cross-origin content).
+  // A video is checked again when its source changes. A canvas can become tainted at any time,
+  // by drawing a cross-origin image, and never becomes clean again, so it is checked until it is.
+  isSourceTainted(source) {
+    const element = source.element;
+    if (source.type === 'video' ? source.taintCheckedSrc === element.currentSrc : source.tainted) {
+      return source.tainted;
+    }
+    // Empty canvases can't be drawn
+    if (source.type === 'canvas' && (!element.width || !element.height)) return false;
+    
+    if (!this.taintCheckCanvas) {
+      this.taintCheckCanvas = document.createElement('canvas');
+      this.taintCheckCanvas.width = 1;
+      this.taintCheckCanvas.height = 1;
+    }
+    const ctx = this.taintCheckCanvas.getContext('2d');
+    try {
+      ctx.drawImage(element, 0, 0, 1, 1);
+      ctx.getImageData(0, 0, 1, 1);
+      source.tainted = false;
+    } catch (err) {
+      source.tainted = true;
+      if (source.type === 'video') {
+        console.warn('Cross-origin video cannot be magnified without CORS headers:', element.currentSrc);
+      } else {
+        console.warn('Canvas with cross-origin content cannot be magnified:', element);
+      }
+    }
+    if (source.type === 'video') {
+      source.taintCheckedSrc = element.currentSrc;
+    }
+    return source.tainted;
+  }
+  
+  // Draw the current video frame into its content box, letterboxed by object-fit
+  drawVideoSource(source, matrix, content) {
+    const video = source.element;
+    if (video.readyState < 2 || !video.videoWidth) return false; // HAVE_CURRENT_DATA
+    // Drawing a tainted frame would make the lens canvas unreadable for good
+    if (this.isSourceTainted(source)) return false;
+    
+    // Letterbox bars show the element background
+    const background = getComputedStyle(video).backgroundColor;
+    if (background && background !== 'transparent' && background !== 'rgba(0, 0, 0, 0)') {
+      this.ctx.save();
+      this.applyLensTransform(matrix);
+      this.ctx.fillStyle = background;
+      this.ctx.fillRect(content.x, content.y, content.width, content.height);
+      this.ctx.restore();
+    }
+    
+    const box = this.getReplacedContentBox(video, matrix, video.videoWidth, video.videoHeight);
+    return this.drawMappedImage(video, matrix, box, content);
+  }
+  
+  // Draw live sources and pinned elements in the lens at their current position, over the tiles.
+  // Live sources inside a pinned element are drawn after its layer.
+  drawLayers() {
+    const lens = { x: this.lensOrigin.x, y: this.lensOrigin.y, width: this.width / this.zoom, height: this.height / this.zoom };
+    const inLens = element => this.rectsIntersect(element.getBoundingClientRect(), lens);
+    let drawn = false;
+    const drawSources = (layer) => {
+      this.liveSources.forEach((source) => {
+        if (this.getPinnedLayerOf(source.element) !== layer || !inLens(source.element)) return;
+        drawn = this.drawLiveSource(source) || drawn;
+      });
+    };
+    
+    drawSources(null);
+    this.pinnedLayers.forEach((layer) => {
+      if (layer.image && inLens(layer.element)) {
+        // The capture covers the element's bounding box
+        const rect = layer.element.getBoundingClientRect();
+        drawn = this.drawMappedImage(layer.image, null, {
+          x: rect.left,
+          y: rect.top,
+          width: rect.width,
+          height: rect.height
+        }, null) || drawn;
+      }
+      drawSources(layer);
+    });
+    return drawn;
+  }
+  
+  // Compute the lens top-left corner for the current placement mode
+  getLensPosition() {
+    const x = this.lastMouseX;
+    const y = this.lastMouseY;
+    
+    if (this.placement === 'cursor') {
+      return { left: x - this.width / 2, top: y - this.height / 2 };
+    }
+    
+    if (this.placement === 'offset') {
+      const viewportWidth = window.innerWidth;
+      const viewportHeight = window.innerHeight;
+      let left;
+      let top;
       
-      // Calculate source region centered on cursor (cursor at center of magnifier)
-      const sourceSizeScaled = sourceSize * svgScale;
-      const elemSourceX = Math.max(0, Math.min(snapX - sourceSizeScaled / 2, this.svgSnapshotCanvas.width - sourceSizeScaled));
-      const elemSourceY = Math.max(0, Math.min(snapY - sourceSizeScaled / 2, this.svgSnapshotCanvas.height - sourceSizeScaled));
+      if (this.pointerType !== 'mouse') {
+        // Sit above the finger or pen so it doesn't cover the lens, below it near the top edge
+        left = x - this.width / 2;
+        top = y - this.offset.y - this.height;
+        if (top < 0) {
+          top = y + this.offset.y;
+        }
+      } else {
+        // Bottom-right of the pointer, flipping to the other side near viewport edges
+        left = x + this.offset.x;
+        top = y + this.offset.y;
+        if (left + this.width > viewportWidth) {
+          left = x - this.offset.x - this.width;
+        }
+        if (top + this.height > viewportHeight) {
+          top = y - this.offset.y - this.height;
+        }
+      }
       
-      this.ctx.save();
-      this.ctx.imageSmoothingEnabled = false;
-      try {
-        this.ctx.drawImage(
-          this.svgSnapshotCanvas,
-          elemSourceX, elemSourceY, sourceSizeScaled, sourceSizeScaled,
-          0, 0, this.size, this.size
-        );
-      } catch (err) {
-        console.warn('SVG draw error:', err);
+      // Keep the lens on screen when the viewport is too small to flip
+      return {
+        left: Math.max(0, Math.min(left, viewportWidth - this.width)),
+        top: Math.max(0, Math.min(top, viewportHeight - this.height))
+      };
+    }
+    
+    return { left: this.position.x, top: this.position.y };
+  }
+  
+  // Move the lens element to follow the pointer (no-op in 'fixed' placement)
+  updateLensPosition() {
+    if (this.placement === 'fixed' || !this.magnifierElement) return;
+    
+    const { left, top } = this.getLensPosition();
+    const leftPx = `${Math.round(left)}px`;
+    const topPx = `${Math.round(top)}px`;
+    // Only touch the style when it changes to avoid needless style recalculation
+    if (this.magnifierElement.style.left !== leftPx) {
+      this.magnifierElement.style.left = leftPx;
+    }
+    if (this.magnifierElement.style.top !== topPx) {
+      this.magnifierElement.style.top = topPx;
+    }
+  }
+  
+  drawMagnifier() {
+    if (!this.canvas || !this.ctx) return;
+    
+    this.updateLensPosition();
+    this.updateOverlays();
+    
+    // The DOM clone renders itself; the canvas stays transparent on top of it
+    if (this.renderMode === 'dom') {
+      if (this.isVisible()) {
+        this.updateClone();
       }
-      this.ctx.restore();
+      this.ctx.clearRect(0, 0, this.width, this.height);
+      this.finishFrame();
       this.rafId = null;
       return;
     }
     
-    // For other areas, use snapshot
-    if (!this.snapshotCanvas) {
-      this.ctx.fillStyle = '#e8e8e8';
-      this.ctx.fillRect(0, 0, this.size, this.size);
-      this.ctx.fillStyle = '#666';
-      this.ctx.font = '11px Arial';
-      this.ctx.textAlign = 'center';
-      this.ctx.fillText('Loading...', this.size / 2, this.size / 2);
+    // Nothing to draw for a hidden lens, unless a recording needs every frame
+    if (!this.isVisible() && !this.isRecording()) {
       this.rafId = null;
       return;
     }
     
-    // Map viewport coordinates to snapshot coordinates
-    // html2canvas captures at scale 1, so we need to map viewport to document coordinates
-    const docWidth = document.documentElement.scrollWidth;
-    const docHeight = document.documentElement.scrollHeight;
-    const snapScaleX = this.snapshotCanvas.width / docWidth || 1;
-    const snapScaleY = this.snapshotCanvas.height / docHeight || 1;
+    const sourceWidth = this.width / this.zoom;
+    const sourceHeight = this.height / this.zoom;
     
-    // Get the absolute document coordinates (including scroll)
-    const docX = window.scrollX + this.lastMouseX;
-    const docY = window.scrollY + this.lastMouseY;
+    // Clear canvas; uncovered areas show the lens background (--magnifier-background)
+    this.ctx.clearRect(0, 0, this.width, this.height);
     
-    // Convert document coordinates to snapshot coordinates
-    const snapX = docX * snapScaleX;
-    const snapY = docY * snapScaleY;
+    const liveSource = this.getLiveSourceAt(this.lastMouseX, this.lastMouseY);
+    if (liveSource && this.isUnreadableSource(liveSource)) {
+      this.drawNotice(`Cross-origin ${liveSource.type}`);
+      this.finishFrame();
+      this.rafId = null;
+      return;
+    }
     
-    // Calculate source region centered on cursor position
     // The cursor should be at the exact center of the magnifier view
-    const sx = Math.max(
-      0,
-      Math.min(
-        snapX - sourceSize / 2,
-        this.snapshotCanvas.width - sourceSize
-      )
-    );
-    const sy = Math.max(
-      0,
-      Math.min(
-        snapY - sourceSize / 2,
-        this.snapshotCanvas.height - sourceSize
-      )
-    );
+    const point = this.getRootPoint(this.lastMouseX, this.lastMouseY);
+    const rootSize = this.getRootSize();
+    const sx = Math.max(0, Math.min(point.x - sourceWidth / 2, rootSize.width - sourceWidth));
+    const sy = Math.max(0, Math.min(point.y - sourceHeight / 2, rootSize.height - sourceHeight));
+    this.lensOrigin = { x: this.lastMouseX - point.x + sx, y: this.lastMouseY - point.y + sy };
     
-    // Draw the magnified portion
+    // Page tiles, then registered canvas, video, SVG and frame elements (magnified in real time)
+    // and fixed/sticky elements where they are now
     this.ctx.save();
-    this.ctx.imageSmoothingEnabled = false;
+    this.applyImageSmoothing();
+    let drawn = false;
     try {
-      this.ctx.drawImage(
-        this.snapshotCanvas,
-        sx, sy, sourceSize, sourceSize,
-        0, 0, this.size, this.size
-      );
+      drawn = this.drawTiles(sx, sy, sourceWidth, sourceHeight);
+      drawn = this.drawLayers() || drawn;
     } catch (err) {
       console.warn('Draw error:', err);
-      this.ctx.fillStyle = '#f7f7f7';
-      this.ctx.fillRect(0, 0, this.size, this.size);
-      this.ctx.fillStyle = '#a00';
-      this.ctx.font = '12px Arial';
-      this.ctx.textAlign = 'center';
-      this.ctx.fillText('Draw failed', this.size / 2, this.size / 2);
+      this.drawNotice('Draw failed');
+      drawn = true;
+    }
+    this.ctx.restore();
+    
+    if (drawn) {
+      this.finishFrame();
+    } else {
+      this.drawNotice(this.placeholderText);
+    }
+    
+    this.rafId = null;
+  }
+  
+  startContinuousUpdate() {
+    if (this.loopId !== null) return;
+    const updateLoop = () => {
+      // Scheduled first, so stopContinuousUpdate() from inside a frame (e.g. an event handler) sticks
+      this.loopId = requestAnimationFrame(updateLoop);
+      this.drawMagnifier();
+      if (this.recording) {
+        this.composeFrame(this.recording.canvas);
+      }
+    };
+    updateLoop();
+  }
+  
+  stopContinuousUpdate() {
+    if (this.loopId !== null) {
+      cancelAnimationFrame(this.loopId);
+      this.loopId = null;
+    }
+  }
+  
+  // Flatten the lens into `canvas` at device pixels: background, content and overlays, clipped to the lens shape
+  composeFrame(canvas) {
+    const width = Math.round(this.width * this.pixelRatio);
+    const height = Math.round(this.height * this.pixelRatio);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    const ctx = canvas.getContext('2d');
+    const lensStyle = getComputedStyle(this.magnifierElement);
+    ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    ctx.clearRect(0, 0, this.width, this.height);
+    ctx.save();
+    
+    ctx.beginPath();
+    if (this.shape === 'circle') {
+      ctx.ellipse(this.width / 2, this.height / 2, this.width / 2, this.height / 2, 0, 0, Math.PI * 2);
+    } else if (this.shape === 'rounded' && typeof ctx.roundRect === 'function') {
+      ctx.roundRect(0, 0, this.width, this.height, parseFloat(lensStyle.borderTopLeftRadius) || 0);
+    } else {
+      ctx.rect(0, 0, this.width, this.height);
+    }
+    ctx.clip();
+    
+    ctx.fillStyle = lensStyle.backgroundColor;
+    ctx.fillRect(0, 0, this.width, this.height);
+    ctx.drawImage(this.canvas, 0, 0, this.width, this.height);
+    this.drawOverlayElements(ctx);
+    ctx.restore();
+  }
+  
+  // Paint the DOM overlays (crosshair, zoom badge, readout) onto an export canvas.
+  // They are measured on screen, so they are only included while the lens is showing.
+  drawOverlayElements(ctx) {
+    const lensRect = this.magnifierElement.getBoundingClientRect();
+    const originX = lensRect.left + this.magnifierElement.clientLeft;
+    const originY = lensRect.top + this.magnifierElement.clientTop;
+    const boxOf = (element) => {
+      const rect = element.getBoundingClientRect();
+      return { x: rect.left - originX, y: rect.top - originY, width: rect.width, height: rect.height };
+    };
+    
+    if (this.crosshairElement) {
+      const box = boxOf(this.crosshairElement);
+      if (box.width > 0) {
+        ctx.fillStyle = this.getThemeValue('--magnifier-crosshair-color', 'rgba(255, 0, 0, 0.8)');
+        ctx.fillRect(box.x, box.y + box.height / 2 - 0.5, box.width, 1);
+        ctx.fillRect(box.x + box.width / 2 - 0.5, box.y, 1, box.height);
+      }
+    }
+    
+    [this.badgeElement, this.readoutElement].forEach((element) => {
+      if (!element || !element.textContent) return;
+      const box = boxOf(element);
+      if (box.width === 0) return;
+      const style = getComputedStyle(element);
+      const swatch = parseFloat(style.borderLeftWidth) || 0;
+      
+      ctx.beginPath();
+      if (typeof ctx.roundRect === 'function') {
+        ctx.roundRect(box.x, box.y, box.width, box.height, parseFloat(style.borderTopLeftRadius) || 0);
+      } else {
+        ctx.rect(box.x, box.y, box.width, box.height);
+      }
+      ctx.fillStyle = style.backgroundColor;
+      ctx.fill();
+      if (swatch) {
+        ctx.fillStyle = style.borderLeftColor;
+        ctx.fillRect(box.x, box.y, swatch, box.height);
+      }
+      
+      const fontSize = parseFloat(style.fontSize) || 11;
+      const lineHeight = parseFloat(style.lineHeight) || fontSize * 1.2;
+      ctx.font = `${style.fontStyle} ${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+      ctx.fillStyle = style.color;
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      const x = box.x + swatch + (parseFloat(style.paddingLeft) || 0);
+      const y = box.y + (parseFloat(style.paddingTop) || 0);
+      element.textContent.split('\n').forEach((line, i) => {
+        ctx.fillText(line, x, y + lineHeight * (i + 0.5));
+      });
+    });
+  }
+  
+  // Export canvas with the current lens frame; the 'dom' render mode has no pixels to export
+  getExportCanvas() {
+    if (this.renderMode === 'dom') {
+      throw new Error('Lens export is not available in the \'dom\' render mode');
+    }
+    if (!this.canvas) {
+      throw new Error('Magnifier has been destroyed');
+    }
+    const canvas = document.createElement('canvas');
+    this.composeFrame(canvas);
+    return canvas;
+  }
+  
+  // Current lens frame as an image Blob, including overlays
+  toBlob(type = 'image/png', quality) {
+    return new Promise((resolve, reject) => {
+      this.getExportCanvas().toBlob((blob) => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('Failed to encode the lens image'));
+        }
+      }, type, quality);
+    });
+  }
+  
+  toDataURL(type = 'image/png', quality) {
+    return this.getExportCanvas().toDataURL(type, quality);
+  }
+  
+  // Record lens frames (with overlays) into a WebM video until stopRecording() or maxDuration ms
+  startRecording(options = {}) {
+    if (this.recording) {
+      throw new Error('Magnifier is already recording');
+    }
+    if (typeof MediaRecorder === 'undefined') {
+      throw new Error('MediaRecorder is not supported in this browser');
+    }
+    const canvas = this.getExportCanvas();
+    if (typeof canvas.captureStream !== 'function') {
+      throw new Error('canvas.captureStream() is not supported in this browser');
+    }
+    
+    const stream = canvas.captureStream(options.fps || 30);
+    const mimeType = options.mimeType ||
+      ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(type => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: options.videoBitsPerSecond });
+    const chunks = [];
+    const recording = { canvas, recorder, timer: null };
+    recording.done = new Promise((resolve, reject) => {
+      recorder.ondataavailable = (e) => {
+        if (e.data && e.data.size > 0) chunks.push(e.data);
+      };
+      recorder.onstop = () => {
+        stream.getTracks().forEach(track => track.stop());
+        const blob = new Blob(chunks, { type: recorder.mimeType || 'video/webm' });
+        this.emit('recordingstop', { blob });
+        resolve(blob);
+      };
+      recorder.onerror = (e) => {
+        const error = e.error || new Error('Recording failed');
+        this.emit('error', { error, phase: 'record' });
+        reject(error);
+      };
+    });
+    // Auto-stopped recordings are delivered through 'recordingstop'
+    recording.done.catch(() => {});
+    
+    recorder.start();
+    const maxDuration = options.maxDuration !== undefined ? options.maxDuration : 30000;
+    if (maxDuration) {
+      recording.timer = setTimeout(() => this.stopRecording(), maxDuration);
+    }
+    this.recording = recording;
+    this.emit('recordingstart');
+  }
+  
+  // Stop recording; resolves with the WebM Blob
+  stopRecording() {
+    const recording = this.recording;
+    if (!recording) {
+      return Promise.reject(new Error('Magnifier is not recording'));
+    }
+    this.recording = null;
+    clearTimeout(recording.timer);
+    if (recording.recorder.state !== 'inactive') {
+      recording.recorder.stop();
+    }
+    return recording.done;
+  }
+  
+  isRecording() {
+    return !!this.recording;
+  }
+  
+  clampZoom(level) {
+    return Math.max(this.minZoom, Math.min(this.maxZoom, level));
+  }
+  
+  getZoom() {
+    return this.targetZoom;
+  }
+  
+  // Change the zoom level, animated when smoothZoom is on (unless options.animate is false)
+  setZoom(level, options = {}) {
+    const next = this.clampZoom(Number(level));
+    if (isNaN(next) || next === this.targetZoom) return;
+    
+    const previousZoom = this.targetZoom;
+    this.targetZoom = next;
+    
+    if (this.zoomAnimationId !== null) {
+      cancelAnimationFrame(this.zoomAnimationId);
+      this.zoomAnimationId = null;
     }
-    this.ctx.restore();
     
-    this.rafId = null;
+    const animate = options.animate !== undefined ? options.animate : this.smoothZoom;
+    if (animate) {
+      this.animateZoom(this.zoom, next);
+    } else {
+      this.zoom = next;
+    }
+    
+    this.announce(`Zoom ${this.formatZoom(next)}`);
+    this.emit('zoomchange', { zoom: next, previousZoom });
   }
   
-  startContinuousUpdate() {
-    const updateLoop = () => {
-      this.drawMagnifier();
-      requestAnimationFrame(updateLoop);
+  // Ease the rendered zoom from `from` to `to` over zoomDuration
+  animateZoom(from, to) {
+    const start = performance.now();
+    const step = (now) => {
+      const t = Math.min(1, (now - start) / this.zoomDuration);
+      const eased = 1 - Math.pow(1 - t, 3); // easeOutCubic
+      this.zoom = from + (to - from) * eased;
+      this.zoomAnimationId = t < 1 ? requestAnimationFrame(step) : null;
     };
-    updateLoop();
+    this.zoomAnimationId = requestAnimationFrame(step);
+  }
+  
+  isVisible() {
+    return !!this.magnifierElement && this.magnifierElement.style.display !== 'none';
   }
   
   updateMagnifierVisibility() {
     if (this.magnifierElement) {
-      const shouldShow = this.activationMode === 'move' 
-        ? true  // Always show in move mode when mouse is moving
-        : this.isDragging;  // Only show when dragging in drag mode
+      const activation = this.getActivation();
+      const shouldShow = this.isKeyboardActive || (activation === 'move'
+        ? true  // Always show in move mode when the pointer is moving
+        : activation === 'drag' && this.isDragging);  // Only show when dragging in drag mode
       
-      if (shouldShow) {
-        this.magnifierElement.style.display = 'block';
-      } else {
-        this.magnifierElement.style.display = 'none';
-      }
+      this.setVisible(shouldShow);
     }
   }
   
+  // Show or hide the lens element, emitting 'show'/'hide' on changes
+  setVisible(visible) {
+    if (!this.magnifierElement || visible === this.isVisible()) return;
+    this.magnifierElement.style.display = visible ? 'block' : 'none';
+    this.emit(visible ? 'show' : 'hide');
+  }
+  
   updatePosition(x, y) {
     // In move mode, always update position; in drag mode, only when dragging
-    if (this.activationMode === 'move' || this.isDragging) {
-      this.lastMouseX = x;
-      this.lastMouseY = y;
+    if (this.getActivation() === 'move' || this.isDragging) {
+      this.setFocusPoint(x, y);
+    }
+  }
+  
+  // Move the magnified point (viewport coordinates), emitting 'move'
+  setFocusPoint(x, y) {
+    this.lastMouseX = x;
+    this.lastMouseY = y;
+    if (this.isMeasuring) {
+      this.measurement.end = this.getMeasurePoint(x, y);
+    }
+    this.emit('move', { x, y });
+  }
+  
+  // Input is handled once the magnifier has started, unless it is disabled or paused
+  acceptsInput() {
+    return this.isStarted && this.isEnabled && !this.isPaused;
+  }
+  
+  // With several instances, pointer input goes to the one with the innermost target around the
+  // event target. Page-wide instances come last; the earliest created wins ties.
+  ownsPointer(e) {
+    if (!this.acceptsInput()) return false;
+    if (instances.size <= 1) return true;
+    let node = e.target && e.target.nodeType ? e.target : document.documentElement;
+    // Input forwarded from an iframe counts as input on the iframe element
+    if (node.ownerDocument && node.ownerDocument !== document) {
+      node = node.ownerDocument.defaultView.frameElement || document.documentElement;
+    }
+    
+    let owner = null;
+    let ownerDepth = -1;
+    instances.forEach((instance) => {
+      const target = instance.targetElement;
+      if (!instance.acceptsInput() || (target && !target.contains(node))) return;
+      let depth = 0;
+      for (let el = target; el; el = el.parentElement) {
+        depth++;
+      }
+      if (depth > ownerDepth) {
+        owner = instance;
+        ownerDepth = depth;
+      }
+    });
+    return owner === this;
+  }
+  
+  // Activation rule for a pointer type: 'drag', 'move' or 'none'
+  getActivation(pointerType = this.pointerType) {
+    return this.pointerActivation[pointerType] || this.activationMode;
+  }
+  
+  handlePointerDown(e) {
+    if (!this.ownsPointer(e)) return;
+    
+    // A second finger goes to pinch handling; other secondary pointers are ignored
+    if (!e.isPrimary) {
+      if (e.pointerType === 'touch' && this.activePointers.size === 1 && this.isVisible()) {
+        this.activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        this.pinchStartDistance = this.getPinchDistance();
+        this.pinchStartZoom = this.targetZoom;
+      }
+      return;
+    }
+    
+    this.pointerType = e.pointerType || 'mouse';
+    if (this.getActivation() === 'none') return;
+    this.activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    this.dragPointerId = e.pointerId;
+    this.dragStart = { x: e.clientX, y: e.clientY };
+    this.isDragging = false;
+    this.clickEndsDrag = false;
+    this.applyPressure(e);
+    
+    // The mouse drags on press; touch and pen wait for dragThreshold so taps and scrolls pass through
+    if (this.pointerType === 'mouse') {
+      this.startDrag(e);
+      this.updatePosition(e.clientX, e.clientY);
     }
   }
   
-  handleMouseDown(e) {
+  // Start magnifying with the pointer that went down. Capturing it keeps the drag going outside the target.
+  // A page-wide mouse drag isn't captured, since that would send the pointerup and click to the element
+  // pressed on instead of the one released on.
+  startDrag(e) {
     this.isDragging = true;
+    const capture = this.pointerType !== 'mouse' || this.targetElement;
+    if (capture && e.target && typeof e.target.setPointerCapture === 'function') {
+      try {
+        e.target.setPointerCapture(e.pointerId);
+        this.captureTarget = e.target;
+      } catch (err) {
+        // The pointer is already gone
+      }
+    }
     this.updateMagnifierVisibility();
-    this.updatePosition(e.clientX, e.clientY);
     // Resume snapshots when dragging starts
     this.startPeriodicSnapshot();
-    this.startSvgSnapshot();
+    this.startLiveSourceSnapshots();
+    // Measure from where the pointer went down
+    if (this.tool === 'measure') {
+      this.startMeasurement(this.dragStart.x, this.dragStart.y);
+    }
   }
   
-  handleMouseMove(e) {
-    if (this.activationMode === 'move') {
+  handlePointerMove(e) {
+    // A paused lens stays where it is; this isn't the pointer leaving
+    if (!this.acceptsInput()) return;
+    const pointer = this.activePointers.get(e.pointerId);
+    if (pointer) {
+      pointer.x = e.clientX;
+      pointer.y = e.clientY;
+    }
+    
+    // Two-finger pinch changes the zoom while the lens is showing
+    if (this.pinchStartDistance) {
+      const distance = this.getPinchDistance();
+      if (distance > 0) {
+        this.setZoom(this.pinchStartZoom * distance / this.pinchStartDistance, { animate: false });
+      }
+      return;
+    }
+    if (!e.isPrimary) return;
+    
+    // A drag stays with the instance it started in
+    if (!this.isDragging && !this.ownsPointer(e)) {
+      // The pointer moved into a nested instance's target
+      this.handlePointerLeave(e);
+      return;
+    }
+    this.pointerType = e.pointerType || 'mouse';
+    const activation = this.getActivation();
+    if (activation === 'none') return;
+    
+    if (e.pointerId === this.dragPointerId && !this.isDragging) {
+      // Only activate magnifier if there's significant movement (dragging, not tapping)
+      const dx = Math.abs(e.clientX - this.dragStart.x);
+      const dy = Math.abs(e.clientY - this.dragStart.y);
+      if (dx > this.dragThreshold || dy > this.dragThreshold) {
+        this.startDrag(e);
+      }
+    }
+    this.applyPressure(e);
+    
+    if (activation === 'move') {
       // In move mode, always update position and show magnifier
       this.updatePosition(e.clientX, e.clientY);
       this.updateMagnifierVisibility();
       // Start periodic snapshots if not already running
       if (!this.snapshotInterval) {
         this.startPeriodicSnapshot();
-        this.startSvgSnapshot();
+        this.startLiveSourceSnapshots();
       }
     } else if (this.isDragging) {
       // In drag mode, only update when dragging
@@ -607,121 +3837,983 @@ class Magnifier {
     }
   }
   
-  handleMouseUp(e) {
+  // Also handles pointercancel, e.g. when the browser takes a touch over for scrolling
+  handlePointerUp(e) {
+    this.activePointers.delete(e.pointerId);
+    // Lifting one finger of a pinch keeps the lens up for the remaining one
+    if (this.pinchStartDistance) {
+      if (this.activePointers.size < 2) {
+        this.pinchStartDistance = 0;
+      }
+      if (this.activePointers.size > 0) return;
+    }
+    if (e.pointerId !== this.dragPointerId) return;
+    
+    this.releaseDragCapture(e.pointerId);
+    this.dragPointerId = null;
+    this.dragStart = null;
+    this.clickEndsDrag = this.isDragging && e.type === 'pointerup';
     this.isDragging = false;
+    this.finishMeasurement();
     this.updateMagnifierVisibility();
-    // Stop snapshots when dragging stops (only in drag mode)
-    if (this.activationMode === 'drag') {
+    // Stop snapshots when dragging stops (unless the lens follows the hovering pointer)
+    if (this.getActivation() !== 'move' && !this.isKeyboardActive) {
       this.stopPeriodicSnapshot();
     }
   }
   
-  handleMouseLeave(e) {
-    // Hide magnifier when mouse leaves window (only in move mode)
-    if (this.activationMode === 'move') {
-      if (this.magnifierElement) {
-        this.magnifierElement.style.display = 'none';
+  releaseDragCapture(pointerId) {
+    const target = this.captureTarget;
+    this.captureTarget = null;
+    if (!target || typeof target.hasPointerCapture !== 'function') return;
+    try {
+      if (target.hasPointerCapture(pointerId)) {
+        target.releasePointerCapture(pointerId);
       }
+    } catch (err) {
+      // The pointer is already gone
+    }
+  }
+  
+  handlePointerLeave(e) {
+    if (!this.acceptsInput()) return;
+    // Hide magnifier when a hovering pointer leaves (only in move mode)
+    if (e.pointerType !== 'touch' && this.getActivation(e.pointerType) === 'move' && !this.isKeyboardActive) {
+      this.setVisible(false);
       // Stop snapshots to save resources
       this.stopPeriodicSnapshot();
     }
   }
   
-  handleTouchStart(e) {
-    // Don't prevent default - allow normal touch interactions
-    // Only activate magnifier if user is dragging (not just tapping)
-    this.isDragging = false; // Will be set to true on move
-    if (e.touches.length > 0) {
-      const touch = e.touches[0];
-      this.lastMouseX = touch.clientX;
-      this.lastMouseY = touch.clientY;
+  // Pointer Events can't keep the page from scrolling, so touchmove does while the lens is dragged or pinched
+  handleTouchMove(e) {
+    if ((this.isDragging || this.pinchStartDistance) && e.cancelable) {
+      e.preventDefault();
     }
   }
   
-  handleTouchMove(e) {
-    if (e.touches.length > 0) {
-      const touch = e.touches[0];
-      const deltaX = Math.abs(touch.clientX - this.lastMouseX);
-      const deltaY = Math.abs(touch.clientY - this.lastMouseY);
-      
-      // Only activate magnifier if there's significant movement (dragging, not scrolling)
-      if (deltaX > 5 || deltaY > 5) {
-        if (!this.isDragging) {
-          this.isDragging = true;
-          this.updateMagnifierVisibility();
-          // Only prevent default once we're actually dragging for magnifier
-          e.preventDefault();
-          // Resume snapshots when dragging starts
-          this.startPeriodicSnapshot();
-          this.startSvgSnapshot();
-        }
-        this.updatePosition(touch.clientX, touch.clientY);
+  // Distance between the first two active pointers
+  getPinchDistance() {
+    const [a, b] = Array.from(this.activePointers.values());
+    return a && b ? Math.hypot(a.x - b.x, a.y - b.y) : 0;
+  }
+  
+  // Map pen pressure to the zoom level while the pen touches the surface (pressureZoom option)
+  applyPressure(e) {
+    if (!this.pressureZoom || e.pointerType !== 'pen' || !e.pressure) return;
+    const range = typeof this.pressureZoom === 'object' ? this.pressureZoom : {};
+    const min = range.min !== undefined ? range.min : this.minZoom;
+    const max = range.max !== undefined ? range.max : this.maxZoom;
+    // Snap to zoomStep so pressure jitter doesn't change the zoom every event
+    const zoom = min + (max - min) * e.pressure;
+    this.setZoom(Math.round(zoom / this.zoomStep) * this.zoomStep, { animate: false });
+  }
+  
+  handleWheel(e) {
+    if (!this.isVisible() || !this.ownsPointer(e)) return;
+    // A lens that follows the hovering pointer leaves the plain wheel to page scrolling.
+    // Ctrl/Alt+wheel (trackpad pinches arrive as Ctrl+wheel) zooms it; a dragged or keyboard lens zooms either way.
+    if (!this.isDragging && !this.isKeyboardActive && !e.ctrlKey && !e.altKey) return;
+    
+    // One mouse wheel notch (~100px) is one zoomStep; trackpads scroll in smaller increments
+    const delta = e.deltaMode === 0 ? e.deltaY / 100 : e.deltaY;
+    const steps = Math.sign(delta) * Math.min(1, Math.max(0.1, Math.abs(delta)));
+    if (steps === 0) return;
+    
+    e.preventDefault();
+    this.setZoom(this.targetZoom - steps * this.zoomStep);
+  }
+  
+  // Parse a hotkey like 'Alt+M' or 'Ctrl+Shift+Z' and test it against a keyboard event
+  matchesHotkey(e, hotkey) {
+    if (!hotkey) return false;
+    const parts = hotkey.split('+').map(p => p.trim().toLowerCase());
+    const key = parts.pop();
+    const modifiers = {
+      alt: parts.includes('alt') || parts.includes('option'),
+      ctrl: parts.includes('ctrl') || parts.includes('control'),
+      shift: parts.includes('shift'),
+      meta: parts.includes('meta') || parts.includes('cmd')
+    };
+    if (e.altKey !== modifiers.alt || e.ctrlKey !== modifiers.ctrl ||
+        e.shiftKey !== modifiers.shift || e.metaKey !== modifiers.meta) {
+      return false;
+    }
+    // Alt+letter produces special characters on macOS, so compare the physical key too
+    const code = (e.code || '').toLowerCase();
+    return (e.key && e.key.toLowerCase() === key) || code === `key${key}` || code === `digit${key}`;
+  }
+  
+  isEditableTarget(element) {
+    if (!element || !element.tagName) return false;
+    const tag = element.tagName.toLowerCase();
+    return tag === 'input' || tag === 'textarea' || tag === 'select' || element.isContentEditable;
+  }
+  
+  // Show or hide the keyboard-driven lens
+  toggleKeyboardMode(force) {
+    const active = force !== undefined ? !!force : !this.isKeyboardActive;
+    if (active === this.isKeyboardActive) return;
+    this.isKeyboardActive = active;
+    
+    if (active) {
+      // Start at the focused element, or the middle of the viewport
+      if (!this.focusActiveElement()) {
+        this.setFocusPoint(window.innerWidth / 2, window.innerHeight / 2);
+      }
+      this.updateMagnifierVisibility();
+      this.startPeriodicSnapshot();
+      this.startLiveSourceSnapshots();
+      this.announce(`Magnifier on, zoom ${this.formatZoom(this.targetZoom)}`);
+    } else {
+      this.updateMagnifierVisibility();
+      if (!this.isVisible()) {
+        this.stopPeriodicSnapshot();
       }
+      this.announce('Magnifier off');
     }
   }
   
-  handleTouchEnd(e) {
-    this.isDragging = false;
-    this.updateMagnifierVisibility();
-    // Stop snapshots when dragging stops (only in drag mode)
-    if (this.activationMode === 'drag') {
-      this.stopPeriodicSnapshot();
+  // Center the focus point on document.activeElement; returns false when nothing is focused
+  focusActiveElement() {
+    const element = document.activeElement;
+    if (!element || element === document.body || element === document.documentElement) {
+      return false;
+    }
+    const rect = element.getBoundingClientRect();
+    this.setFocusPoint(
+      Math.max(0, Math.min(window.innerWidth, rect.left + rect.width / 2)),
+      Math.max(0, Math.min(window.innerHeight, rect.top + rect.height / 2))
+    );
+    return true;
+  }
+  
+  handleFocusIn() {
+    if (this.isKeyboardActive && this.followFocus) {
+      this.focusActiveElement();
+    }
+  }
+  
+  handleKeyDown(e) {
+    if (!this.acceptsInput()) return;
+    if (this.matchesHotkey(e, this.hotkey)) {
+      e.preventDefault();
+      this.toggleKeyboardMode();
+      return;
+    }
+    
+    // Keys typed into form fields, including ones inside shadow roots, belong to the page
+    const target = typeof e.composedPath === 'function' ? e.composedPath()[0] : e.target;
+    if (!this.isVisible() || e.ctrlKey || e.metaKey || e.altKey || this.isEditableTarget(target)) return;
+    
+    // Arrow keys pan the keyboard-driven lens
+    const pan = {
+      ArrowLeft: [-1, 0],
+      ArrowRight: [1, 0],
+      ArrowUp: [0, -1],
+      ArrowDown: [0, 1]
+    }[e.key];
+    if (pan && this.isKeyboardActive) {
+      e.preventDefault();
+      const distance = e.shiftKey ? this.panStep * 5 : this.panStep;
+      this.setFocusPoint(
+        Math.max(0, Math.min(window.innerWidth, this.lastMouseX + pan[0] * distance)),
+        Math.max(0, Math.min(window.innerHeight, this.lastMouseY + pan[1] * distance))
+      );
+      return;
+    }
+    
+    if (e.key === 'Escape' && this.isKeyboardActive) {
+      this.toggleKeyboardMode(false);
+    } else if (this.tool === 'measure' && e.key === 'Enter' && this.isKeyboardActive) {
+      // Enter anchors a measurement at the focus point, and again finishes it
+      e.preventDefault();
+      if (this.isMeasuring) {
+        this.finishMeasurement();
+      } else {
+        this.startMeasurement(this.lastMouseX, this.lastMouseY);
+      }
+    } else if (this.tool === 'inspect' && this.matchesHotkey(e, this.copyKey)) {
+      e.preventDefault();
+      this.copyInspectedColor().catch(err => this.emit('error', { error: err, phase: 'copy' }));
+    } else if (e.key === '+' || e.key === '=') {
+      e.preventDefault();
+      this.setZoom(this.targetZoom + this.zoomStep);
+    } else if (e.key === '-' || e.key === '_') {
+      e.preventDefault();
+      this.setZoom(this.targetZoom - this.zoomStep);
     }
   }
   
-  handleResizeOrScroll() {
+  // In inspect mode a click copies the inspected color instead of reaching the page
+  handleClick(e) {
+    // In drag mode the lens has already hidden when the click that ends the drag arrives
+    const endsDrag = this.clickEndsDrag;
+    this.clickEndsDrag = false;
+    if (this.tool !== 'inspect' || !this.inspectedColor || !this.ownsPointer(e)) return;
+    // Other clicks only belong to the inspector while the lens is showing
+    if (!endsDrag && !this.isVisible()) return;
+    e.preventDefault();
+    e.stopPropagation();
+    this.copyInspectedColor().catch(err => this.emit('error', { error: err, phase: 'copy' }));
+  }
+  
+  handleResizeOrScroll(e) {
+    // The DOM clone reflows by itself; only scrolled containers need mirroring
+    if (this.renderMode === 'dom') {
+      if (e && e.type === 'scroll' && e.target.nodeType === Node.ELEMENT_NODE) {
+        this.copyCloneState(e.target);
+      }
+      return;
+    }
+    // Content scrolled inside a container moves under its tiles
+    if (e && e.type === 'scroll' && e.target.nodeType === Node.ELEMENT_NODE) {
+      this.markDirty(e.target);
+    }
+    // A resize anywhere in the debounce window relayouts the page
+    this.pendingResize = this.pendingResize || (e && e.type === 'resize');
+    this.pinnedScanNeeded = this.pinnedScanNeeded || this.pendingResize;
     if (this.snapshotTimer) {
       clearTimeout(this.snapshotTimer);
     }
     this.snapshotTimer = setTimeout(() => {
+      if (this.pendingResize) {
+        this.clearTiles();
+      } else {
+        this.evictOffscreenTiles();
+      }
+      this.pendingResize = false;
       this.takeSnapshot();
     }, this.updateFrequency.RESIZE_DEBOUNCE);
   }
   
   attachEventListeners() {
-    window.addEventListener('mousedown', this.handleMouseDown);
-    window.addEventListener('mousemove', this.handleMouseMove);
-    window.addEventListener('mouseup', this.handleMouseUp);
-    window.addEventListener('mouseleave', this.handleMouseLeave);
-    // Use passive: true for touchstart/touchend to allow normal interactions
+    // Pointer input only activates the magnifier inside the target; the drag ends anywhere
+    const inputTarget = this.targetElement || window;
+    inputTarget.addEventListener('pointerdown', this.handlePointerDown);
+    inputTarget.addEventListener('pointermove', this.handlePointerMove);
+    window.addEventListener('pointerup', this.handlePointerUp);
+    window.addEventListener('pointercancel', this.handlePointerUp);
+    // pointerleave doesn't reach window, so the page-wide lens listens on the root element
+    (this.targetElement || document.documentElement).addEventListener('pointerleave', this.handlePointerLeave);
     // Only touchmove needs to be non-passive so we can preventDefault when dragging
-    window.addEventListener('touchstart', this.handleTouchStart, { passive: true });
-    window.addEventListener('touchmove', this.handleTouchMove, { passive: false });
-    window.addEventListener('touchend', this.handleTouchEnd, { passive: true });
+    inputTarget.addEventListener('touchmove', this.handleTouchMove, { passive: false });
+    // Non-passive so the wheel zooms the lens instead of scrolling the page while it is showing
+    inputTarget.addEventListener('wheel', this.handleWheel, { passive: false });
+    window.addEventListener('keydown', this.handleKeyDown);
+    document.addEventListener('focusin', this.handleFocusIn);
+    // Capture phase, so the inspector gets clicks before the page does
+    inputTarget.addEventListener('click', this.handleClick, true);
     window.addEventListener('resize', this.handleResizeOrScroll);
-    window.addEventListener('scroll', this.handleResizeOrScroll);
+    this.watchPixelRatio();
+    // Capture phase also catches scrolling containers around the target
+    window.addEventListener('scroll', this.handleResizeOrScroll, true);
   }
   
   removeEventListeners() {
-    window.removeEventListener('mousedown', this.handleMouseDown);
-    window.removeEventListener('mousemove', this.handleMouseMove);
-    window.removeEventListener('mouseup', this.handleMouseUp);
-    window.removeEventListener('mouseleave', this.handleMouseLeave);
-    window.removeEventListener('touchstart', this.handleTouchStart);
-    window.removeEventListener('touchmove', this.handleTouchMove);
-    window.removeEventListener('touchend', this.handleTouchEnd);
+    const inputTarget = this.targetElement || window;
+    inputTarget.removeEventListener('pointerdown', this.handlePointerDown);
+    inputTarget.removeEventListener('pointermove', this.handlePointerMove);
+    window.removeEventListener('pointerup', this.handlePointerUp);
+    window.removeEventListener('pointercancel', this.handlePointerUp);
+    (this.targetElement || document.documentElement).removeEventListener('pointerleave', this.handlePointerLeave);
+    inputTarget.removeEventListener('touchmove', this.handleTouchMove);
+    inputTarget.removeEventListener('wheel', this.handleWheel);
+    window.removeEventListener('keydown', this.handleKeyDown);
+    document.removeEventListener('focusin', this.handleFocusIn);
+    inputTarget.removeEventListener('click', this.handleClick, true);
     window.removeEventListener('resize', this.handleResizeOrScroll);
-    window.removeEventListener('scroll', this.handleResizeOrScroll);
+    this.unwatchPixelRatio();
+    window.removeEventListener('scroll', this.handleResizeOrScroll, true);
   }
   
-  destroy() {
-    // Stop intervals
-    this.stopPeriodicSnapshot();
+  // Change options without creating a new instance; `options` takes the constructor options and
+  // leaving one undefined restores its default. Most apply right away; target, frames, renderMode,
+  // capture, captureOptions, tileSize and loader rebuild the lens and capture pipeline.
+  setOptions(options = {}) {
+    if (this.isDestroyed) {
+      throw new Error('Cannot set options on a destroyed magnifier');
+    }
+    const previous = this.options;
+    const changed = name => Object.prototype.hasOwnProperty.call(options, name) && options[name] !== previous[name];
+    const unknown = Object.keys(options).filter(name => !OPTION_NAMES.includes(name));
+    if (unknown.length > 0) {
+      console.warn('Unknown Magnifier options:', unknown.join(', '));
+    }
+    const wasActivation = this.getActivation();
+    this.options = { ...previous, ...options };
+    this.configure(this.options);
     
-    // Remove event listeners
-    this.removeEventListeners();
+    if (['target', 'frames', 'renderMode', 'capture', 'captureOptions', 'tileSize', 'loader'].some(changed)) {
+      // Auto-discovered sources are looked up again for the new settings
+      this.teardown();
+      this.liveSources.forEach((source, element) => {
+        if (source.auto) this.removeLiveSource(element);
+      });
+      this.init().catch(err => {
+        console.error('Magnifier initialization failed:', err);
+        this.fail(err, 'init');
+      });
+    } else if (this.magnifierElement) {
+      const lens = this.magnifierElement;
+      lens.id = this.id;
+      lens.className = this.className;
+      lens.style.width = `${this.width}px`;
+      lens.style.height = `${this.height}px`;
+      lens.style.borderRadius = this.getLensRadius();
+      if (this.placement === 'fixed') {
+        lens.style.left = `${this.position.x}px`;
+        lens.style.top = `${this.position.y}px`;
+      }
+      this.resizeCanvas();
+      
+      if (['crosshair', 'zoomBadge', 'tool'].some(changed)) {
+        [this.crosshairElement, this.badgeElement, this.readoutElement].forEach(element => element && element.remove());
+        this.crosshairElement = null;
+        this.badgeElement = null;
+        this.readoutElement = null;
+        this.createOverlays();
+        this.inspectedColor = null;
+        if (this.tool !== 'measure') {
+          this.clearMeasurement();
+        }
+      }
+      
+      // Restart the snapshot cycle at the new rate
+      if (changed('updateFrequency') && this.snapshotInterval) {
+        this.startPeriodicSnapshot();
+      }
+    }
+    
+    // A lens shown by hovering hides when hovering no longer shows it
+    if (wasActivation === 'move' && this.getActivation() !== 'move' && this.isVisible() &&
+        !this.isDragging && !this.isKeyboardActive) {
+      this.setVisible(false);
+      this.stopPeriodicSnapshot();
+    }
+    // Zoom and filter also change at runtime, so they apply whenever they are passed
+    this.setZoom('zoom' in options ? (options.zoom || 2) : this.targetZoom);
+    if ('filter' in options) {
+      this.setFilter(options.filter || null);
+    }
+  }
+  
+  // Stop magnifying until enable(): hide the lens and stop input handling, drawing, capturing and change tracking
+  disable() {
+    if (!this.isEnabled || this.isDestroyed) return;
+    this.isEnabled = false;
+    this.resetInteraction();
+    this.setVisible(false);
+    this.stopRuntime();
+    this.emit('disable');
+  }
+  
+  enable() {
+    if (this.isEnabled || this.isDestroyed) return;
+    this.isEnabled = true;
+    // Before init() has started, it starts everything itself
+    if (this.isStarted) {
+      this.startRuntime();
+      // Changes went untracked while disabled
+      if (this.renderMode === 'dom') {
+        this.buildClone();
+      } else {
+        this.markDirty(null);
+        this.takeSnapshot();
+      }
+    }
+    this.emit('enable');
+  }
+  
+  // Freeze the lens as it is: drawing, capturing and input stop until resume(). Changes to the
+  // page are still tracked, so resume() only recaptures what changed.
+  pause() {
+    if (this.isPaused || this.isDestroyed) return;
+    this.isPaused = true;
+    this.stopContinuousUpdate();
+    this.stopPeriodicSnapshot();
+    if (this.rafId !== null) {
+      cancelAnimationFrame(this.rafId);
+      this.rafId = null;
+    }
+    snapshotScheduler.waiting.delete(this);
+    this.emit('pause');
+  }
+  
+  resume() {
+    if (!this.isPaused || this.isDestroyed) return;
+    this.isPaused = false;
+    if (this.isStarted && this.isEnabled) {
+      this.startContinuousUpdate();
+      if (this.isVisible()) {
+        this.startPeriodicSnapshot();
+        this.startLiveSourceSnapshots();
+      }
+      this.takeSnapshot();
+    }
+    this.emit('resume');
+  }
+  
+  // Undo init(): stop drawing, capturing and input handling and remove the lens.
+  // Options, event listeners, live sources and `ready` are kept.
+  teardown() {
+    this.runId++;
+    this.stopRuntime();
+    window.removeEventListener('load', this.handlePageLoad);
+    if (this.pageLoadTimer) {
+      clearTimeout(this.pageLoadTimer);
+      this.pageLoadTimer = null;
+    }
+    if (this.zoomAnimationId !== null) {
+      cancelAnimationFrame(this.zoomAnimationId);
+      this.zoomAnimationId = null;
+      this.zoom = this.targetZoom;
+    }
+    this.resetInteraction();
     
     // Remove DOM element
     if (this.magnifierElement && this.magnifierElement.parentNode) {
       this.magnifierElement.parentNode.removeChild(this.magnifierElement);
     }
+    if (this.liveRegion && this.liveRegion.parentNode) {
+      this.liveRegion.parentNode.removeChild(this.liveRegion);
+    }
     
     // Clear references
     this.magnifierElement = null;
+    this.liveRegion = null;
+    this.cloneLayer = null;
+    this.cloneRoot = null;
+    this.cloneStyles = [];
+    this.crosshairElement = null;
+    this.badgeElement = null;
+    this.readoutElement = null;
+    this.filterElement = null;
+    this.cloneMap = new WeakMap();
+    this.clonedMedia = [];
+    this.targetElement = null;
     this.canvas = null;
     this.ctx = null;
-    this.snapshotCanvas = null;
-    this.svgSnapshotCanvas = null;
+    this.isStarted = false;
+    this.isCaptureReady = false;
+    this.isSnapshotting = false;
+    this.pinnedLayers.clear();
+    this.pinnedScanNeeded = true;
+    this.releaseTileCache();
+    this.tileCache = this.createTileCache();
+  }
+  
+  destroy() {
+    if (this.isDestroyed) return;
+    this.emit('destroy');
+    this.isDestroyed = true;
+    
+    if (this.recording) {
+      this.stopRecording().catch(() => {});
+    }
+    this.teardown();
+    instances.delete(this);
+    Array.from(this.liveSources.keys()).forEach((element) => this.removeLiveSource(element));
+    this.listeners = {};
+  }
+}
+
+// Constructor options accepted by setOptions()
+const OPTION_NAMES = [
+  'size', 'shape', 'width', 'height', 'id', 'className', 'crosshair', 'zoomBadge', 'placeholderText',
+  'tool', 'gridThreshold', 'copyFormat', 'copyKey', 'snap', 'snapDistance', 'minZoom', 'maxZoom',
+  'zoomStep', 'smoothZoom', 'zoomDuration', 'zoom', 'position', 'placement', 'offset', 'activationMode',
+  'pointerActivation', 'dragThreshold', 'pressureZoom', 'renderMode', 'tileSize', 'tileMemoryBudget',
+  'maxCaptureScale', 'imageSmoothing', 'target', 'frames', 'capture', 'captureOptions', 'loader',
+  'hotkey', 'panStep', 'followFocus', 'updateFrequency', 'filter'
+];
+
+// CSS Color 4 conversion matrices (rows). XYZ is D65 unless noted; ProPhoto and Lab are D50-based.
+const COLOR_MATRICES = {
+  linearSrgbToXyz: [
+    [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+    [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+    [0.01933081871559182, 0.11919477979462598, 0.9505321522496607]
+  ],
+  xyzToLinearSrgb: [
+    [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+    [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+    [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+  ],
+  linearP3ToXyz: [
+    [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+    [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+    [0, 0.04511338185890264, 1.043944368900976]
+  ],
+  xyzToLinearP3: [
+    [2.493496911941425, -0.9313836179191239, -0.40271078445071684],
+    [-0.8294889695615747, 1.7626640603183463, 0.023624685841943577],
+    [0.03584583024378447, -0.07617238926804182, 0.9568845240076872]
+  ],
+  linearRec2020ToXyz: [
+    [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+    [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+    [0, 0.028072693049087428, 1.060985057710791]
+  ],
+  linearA98ToXyz: [
+    [0.5766690429101305, 0.1855582379065463, 0.1882286462349947],
+    [0.29734497525053605, 0.6273635662554661, 0.07529145849399788],
+    [0.02703136138641234, 0.07068885253582723, 0.9913375368376388]
+  ],
+  linearProPhotoToXyzD50: [
+    [0.7977604896723027, 0.13518583717574031, 0.0313493495815248],
+    [0.2880711282292934, 0.7118432178101014, 0.00008565396060525902],
+    [0, 0, 0.8251046025104601]
+  ],
+  // Bradford chromatic adaptation
+  d50ToD65: [
+    [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+    [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+    [0.012314014864481998, -0.020507649298898964, 1.330365926242124]
+  ],
+  d65ToD50: [
+    [1.0479297925449969, 0.022946870601609652, -0.05019226628920524],
+    [0.02962780877005599, 0.9904344267538799, -0.017073799063418826],
+    [-0.009243040646204504, 0.015055191490298152, 0.7518742814281371]
+  ],
+  xyzToLms: [
+    [0.819022437996703, 0.3619062600528904, -0.1288737815209879],
+    [0.0329836539323885, 0.9292868615863434, 0.0361446663506424],
+    [0.0481771893596242, 0.2642395317527308, 0.6335478284694309]
+  ],
+  lmsToXyz: [
+    [1.2268798758459243, -0.5578149944602171, 0.2813910456659647],
+    [-0.0405757452148008, 1.112286803280317, -0.0717110580655164],
+    [-0.0763729366746601, -0.4214933324022432, 1.5869240198367816]
+  ],
+  // Cube-rooted LMS to OKLab and back
+  lmsToOklab: [
+    [0.210454268309314, 0.7936177747023054, -0.0040720430116193],
+    [1.9779985324311684, -2.4285922420485799, 0.450593709617411],
+    [0.0259040424655478, 0.7827717124575296, -0.8086757549230774]
+  ],
+  oklabToLms: [
+    [1, 0.3963377773761749, 0.2158037573099136],
+    [1, -0.1055613458156586, -0.0638541728258133],
+    [1, -0.0894841775298119, -1.2914855480194092]
+  ]
+};
+
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+// Color functions parsed by parseColor(): target space, the value 100% stands for per component,
+// an optional per-component scale and the index of the hue component
+const COLOR_FUNCTIONS = {
+  rgb: { space: 'srgb', refs: [255, 255, 255], scale: [1 / 255, 1 / 255, 1 / 255] },
+  hsl: { space: 'hsl', refs: [0, 100, 100], scale: [1, 0.01, 0.01], hue: 0 },
+  hwb: { space: 'hwb', refs: [0, 100, 100], scale: [1, 0.01, 0.01], hue: 0 },
+  lab: { space: 'lab', refs: [100, 125, 125] },
+  lch: { space: 'lch', refs: [100, 150, 0], hue: 2 },
+  oklab: { space: 'oklab', refs: [1, 0.4, 0.4] },
+  oklch: { space: 'oklch', refs: [1, 0.4, 0], hue: 2 }
+};
+COLOR_FUNCTIONS.rgba = COLOR_FUNCTIONS.rgb;
+COLOR_FUNCTIONS.hsla = COLOR_FUNCTIONS.hsl;
+
+// Matches the color functions html2canvas can't parse
+const MODERN_COLOR_PATTERN = /(?:^|[^\w-])(?:oklab|oklch|lab|lch|hwb|color-mix|color)\(/i;
+
+// SVG attributes that can hold a color
+const SVG_COLOR_ATTRIBUTES = ['fill', 'stroke', 'stop-color', 'flood-color', 'lighting-color', 'color'];
+
+// Computed properties checked for colors that only resolve at cascade time (var(), inherited color-mix())
+const COLOR_PROPERTIES = [
+  'color', 'background-color', 'background-image', 'border-top-color', 'border-right-color',
+  'border-bottom-color', 'border-left-color', 'outline-color', 'text-decoration-color',
+  'box-shadow', 'text-shadow', 'caret-color', 'column-rule-color', 'fill', 'stroke', 'stop-color'
+];
+
+// Built-in lens filters. Each factory receives the optional `amount` and returns
+// { matrix, linear? }: a 3x4 row-major color matrix (last column is the offset) for RGB in 0..1,
+// applied in linear light when `linear` is set. Register more by adding factories.
+const identityColorMatrix = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0];
+
+// Mix a color matrix with the identity: amount 0 leaves colors alone, 1 applies it fully
+const mixColorMatrix = (matrix, amount) => identityColorMatrix.map((value, i) => value + (matrix[i] - value) * amount);
+
+Magnifier.filters = {
+  // Inverted colors
+  invert(amount = 1) {
+    return { matrix: mixColorMatrix([-1, 0, 0, 1, 0, -1, 0, 1, 0, 0, -1, 1], amount) };
+  },
+  
+  // Rec. 709 luminance
+  grayscale(amount = 1) {
+    const lum = [0.2126, 0.7152, 0.0722, 0];
+    return { matrix: mixColorMatrix(lum.concat(lum, lum), amount) };
+  },
+  
+  // High contrast: stretch around mid-gray (2 doubles the contrast)
+  contrast(amount = 2) {
+    const offset = 0.5 - 0.5 * amount;
+    return { matrix: [amount, 0, 0, offset, 0, amount, 0, offset, 0, 0, amount, offset] };
+  },
+  
+  brightness(amount = 1.5) {
+    return { matrix: [amount, 0, 0, 0, 0, amount, 0, 0, 0, 0, amount, 0] };
+  },
+  
+  // Color vision deficiency simulation (Machado, Oliveira & Fernandes 2009, full severity);
+  // a smaller amount approximates milder forms
+  protanopia(amount = 1) {
+    return {
+      linear: true,
+      matrix: mixColorMatrix([
+        0.152286, 1.052583, -0.204868, 0,
+        0.114503, 0.786281, 0.099216, 0,
+        -0.003882, -0.048116, 1.051998, 0
+      ], amount)
+    };
+  },
+  
+  deuteranopia(amount = 1) {
+    return {
+      linear: true,
+      matrix: mixColorMatrix([
+        0.367322, 0.860646, -0.227968, 0,
+        0.280085, 0.672501, 0.047413, 0,
+        -0.011820, 0.042940, 0.968881, 0
+      ], amount)
+    };
+  },
+  
+  tritanopia(amount = 1) {
+    return {
+      linear: true,
+      matrix: mixColorMatrix([
+        1.255528, -0.076749, -0.178779, 0,
+        -0.078411, 0.930809, 0.147602, 0,
+        0.004733, 0.691367, 0.303900, 0
+      ], amount)
+    };
+  }
+};
+
+// Built-in capture adapters. Each factory receives the Magnifier instance and its
+// `captureOptions`, and returns { load?(), capture(element, { region, scale, backgroundColor, exclude }) }.
+// `region` is { x, y, width, height } in element CSS pixels, or null for the whole element.
+// `exclude` lists descendants to hide while keeping their layout (live sources and pinned elements,
+// which the magnifier draws separately).
+// Register more by adding factories: Magnifier.captureAdapters.myRenderer = (magnifier, options) => ({ ... })
+Magnifier.captureAdapters = {
+  // Rasterize the DOM with html2canvas (loaded on demand)
+  html2canvas(magnifier, options) {
+    let captures = 0;
+    return {
+      name: 'html2canvas',
+      load: () => magnifier.loadHtml2Canvas().then((fn) => {
+        magnifier.html2canvas = fn;
+      }),
+      capture: (element, { region, scale, backgroundColor, exclude = [] }) => {
+        const settings = {
+          scale,
+          useCORS: true,
+          allowTaint: false,
+          logging: false,
+          onclone: (clonedDoc) => {
+            magnifier.convertModernColors(clonedDoc);
+          },
+          ...options
+        };
+        // Excluded elements are hidden rather than ignored, which would collapse their box and shift
+        // everything after them. html2canvas doesn't say which clone belongs to which original, so
+        // the originals are marked for the duration of the capture.
+        const token = `${magnifier.id}:${++captures}`;
+        if (exclude.length > 0) {
+          exclude.forEach(el => el.setAttribute('data-magnifier-exclude', token));
+          const onclone = settings.onclone;
+          settings.onclone = (clonedDoc, ...args) => {
+            clonedDoc.querySelectorAll(`[data-magnifier-exclude="${token}"]`).forEach((el) => {
+              [el, ...el.querySelectorAll('*')].forEach((node) => {
+                if (node.style) node.style.setProperty('visibility', 'hidden', 'important');
+              });
+            });
+            return onclone ? onclone(clonedDoc, ...args) : undefined;
+          };
+        }
+        const unmark = () => exclude.forEach((el) => {
+          if (el.getAttribute('data-magnifier-exclude') === token) el.removeAttribute('data-magnifier-exclude');
+        });
+        if (backgroundColor !== undefined) {
+          settings.backgroundColor = backgroundColor;
+        }
+        if (region) {
+          // html2canvas crops in document coordinates
+          const rect = element.getBoundingClientRect();
+          const view = element.ownerDocument.defaultView;
+          settings.x = rect.left + view.scrollX + region.x;
+          settings.y = rect.top + view.scrollY + region.y;
+          settings.width = region.width;
+          settings.height = region.height;
+        }
+        return new Promise(resolve => resolve(magnifier.html2canvas(element, settings))).then((canvas) => {
+          unmark();
+          return canvas;
+        }, (err) => {
+          unmark();
+          throw err;
+        });
+      }
+    };
+  },
+  
+  // Serialize the DOM into an SVG <foreignObject> and let the browser rasterize it.
+  // No third-party script, but external images and fonts inside the capture don't load.
+  foreignObject(magnifier, options) {
+    // Copy computed styles onto the clone, since stylesheets don't apply inside the SVG image
+    // Excluded elements and their descendants keep their box but are hidden
+    const inlineStyles = (original, clone, exclude, hidden = false) => {
+      if (original.nodeType !== Node.ELEMENT_NODE) return;
+      const isHidden = hidden || exclude.includes(original);
+      const computed = getComputedStyle(original);
+      let cssText = '';
+      for (let i = 0; i < computed.length; i++) {
+        const prop = computed[i];
+        cssText += `${prop}:${computed.getPropertyValue(prop)};`;
+      }
+      if (isHidden) {
+        cssText += 'visibility:hidden;';
+      }
+      clone.setAttribute('style', cssText);
+      
+      // Canvas bitmaps and form state are not part of the markup
+      if (original instanceof HTMLCanvasElement) {
+        try {
+          const img = document.createElement('img');
+          img.src = original.toDataURL();
+          img.setAttribute('style', cssText);
+          clone.replaceWith(img);
+          return;
+        } catch (err) {
+          // Tainted canvas, leave it blank
+        }
+      }
+      if (original instanceof HTMLInputElement || original instanceof HTMLTextAreaElement) {
+        clone.setAttribute('value', original.value);
+        if (original.checked) clone.setAttribute('checked', '');
+        if (original instanceof HTMLTextAreaElement) clone.textContent = original.value;
+      }
+      
+      const originalChildren = original.childNodes;
+      const cloneChildren = Array.from(clone.childNodes);
+      for (let i = 0; i < originalChildren.length; i++) {
+        inlineStyles(originalChildren[i], cloneChildren[i], exclude, isHidden);
+      }
+    };
+    
+    return {
+      name: 'foreignObject',
+      capture: (element, { region, scale, backgroundColor, exclude = [] }) => {
+        // The root element can't be embedded, so the page is captured through <body>
+        const isPage = element === element.ownerDocument.documentElement;
+        const source = isPage ? element.ownerDocument.body : element;
+        const rect = element.getBoundingClientRect();
+        const fullWidth = isPage ? element.scrollWidth : rect.width;
+        const fullHeight = isPage ? element.scrollHeight : rect.height;
+        const area = region || { x: 0, y: 0, width: fullWidth, height: fullHeight };
+        
+        const clone = source.cloneNode(true);
+        inlineStyles(source, clone, exclude);
+        // Lenses of every instance
+        clone.querySelectorAll('[data-magnifier-ui]').forEach(node => node.remove());
+        
+        const wrapper = document.createElement('div');
+        wrapper.setAttribute('xmlns', 'http://www.w3.org/1999/xhtml');
+        wrapper.setAttribute('style', `width:${fullWidth}px;height:${fullHeight}px;` +
+          (backgroundColor ? `background:${backgroundColor};` : ''));
+        wrapper.appendChild(clone);
+        
+        const markup = new XMLSerializer().serializeToString(wrapper);
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${area.width}" height="${area.height}" ` +
+          `viewBox="${area.x} ${area.y} ${area.width} ${area.height}">` +
+          `<foreignObject x="0" y="0" width="${fullWidth}" height="${fullHeight}">${markup}</foreignObject></svg>`;
+        
+        return new Promise((resolve, reject) => {
+          const image = new Image();
+          image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(area.width * scale);
+            canvas.height = Math.ceil(area.height * scale);
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            resolve(canvas);
+          };
+          image.onerror = () => reject(new Error('foreignObject capture failed to render'));
+          image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+        });
+      }
+    };
+  },
+  
+  // Use bitmaps the app renders itself: captureOptions.render(element, { region, scale, backgroundColor, exclude })
+  // returns a CanvasImageSource or a promise of one
+  user(magnifier, options) {
+    if (typeof options.render !== 'function') {
+      throw new Error('The user capture adapter needs a captureOptions.render function');
+    }
+    return {
+      name: 'user',
+      capture: (element, captureOptions) => options.render(element, captureOptions)
+    };
+  }
+};
+
+// <html-magnifier> custom element: a declarative wrapper around Magnifier, e.g.
+//   <html-magnifier zoom="3" size="240" mode="move" target="#viewer"></html-magnifier>
+// Attributes map to constructor options (see Magnifier.elementAttributes); `element.options` adds
+// options that have no attribute. Lifecycle events are re-dispatched as 'magnifier-<type>' CustomEvents.
+Magnifier.elementAttributes = {
+  // attribute: [option, type]
+  size: ['size', 'number'],
+  width: ['width', 'number'],
+  height: ['height', 'number'],
+  zoom: ['zoom', 'number'],
+  'min-zoom': ['minZoom', 'number'],
+  'max-zoom': ['maxZoom', 'number'],
+  'zoom-step': ['zoomStep', 'number'],
+  'smooth-zoom': ['smoothZoom', 'boolean'],
+  mode: ['activationMode', 'string'],
+  'drag-threshold': ['dragThreshold', 'number'],
+  'pressure-zoom': ['pressureZoom', 'boolean'],
+  placement: ['placement', 'string'],
+  position: ['position', 'point'],
+  offset: ['offset', 'point'],
+  shape: ['shape', 'string'],
+  'lens-class': ['className', 'string'],
+  crosshair: ['crosshair', 'boolean'],
+  'zoom-badge': ['zoomBadge', 'boolean'],
+  target: ['target', 'string'],
+  frames: ['frames', 'frames'],
+  'render-mode': ['renderMode', 'string'],
+  capture: ['capture', 'string'],
+  filter: ['filter', 'list'],
+  tool: ['tool', 'string'],
+  hotkey: ['hotkey', 'string'],
+  'follow-focus': ['followFocus', 'boolean'],
+  'image-smoothing': ['imageSmoothing', 'boolean']
+};
+
+if (typeof HTMLElement !== 'undefined' && typeof customElements !== 'undefined') {
+  const elementEvents = [
+    'ready', 'show', 'hide', 'move', 'zoomchange', 'filterchange', 'copy', 'measure',
+    'recordingstart', 'recordingstop', 'snapshotstart', 'snapshotend', 'enable', 'disable', 'pause', 'resume',
+    'error', 'destroy'
+  ];
+  
+  class HTMLMagnifierElement extends HTMLElement {
+    static get observedAttributes() {
+      return Object.keys(Magnifier.elementAttributes);
+    }
+    
+    constructor() {
+      super();
+      this.magnifier = null;
+      this.extraOptions = {};
+    }
+    
+    // Options without an attribute (objects, functions)
+    get options() {
+      return this.extraOptions;
+    }
+    
+    set options(options) {
+      const previous = this.extraOptions;
+      this.extraOptions = options || {};
+      if (!this.magnifier) return;
+      // Attributes win over these; options dropped from the previous object go back to their defaults
+      const attributes = this.readAttributes();
+      const changes = {};
+      Object.keys(previous).concat(Object.keys(this.extraOptions)).forEach((name) => {
+        if (!(name in attributes)) {
+          changes[name] = this.extraOptions[name];
+        }
+      });
+      this.magnifier.setOptions(changes);
+    }
+    
+    connectedCallback() {
+      if (!this.magnifier) {
+        this.create();
+      }
+    }
+    
+    disconnectedCallback() {
+      // Moving the element (e.g. a framework reordering nodes) reconnects it in the same task
+      queueMicrotask(() => {
+        if (!this.isConnected) {
+          this.destroyMagnifier();
+        }
+      });
+    }
+    
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (!this.magnifier || oldValue === newValue) return;
+      // A removed attribute falls back to element.options, then to the default
+      const option = Magnifier.elementAttributes[name][0];
+      const value = { ...this.extraOptions, ...this.readAttributes() }[option];
+      this.magnifier.setOptions({ [option]: value });
+    }
+    
+    // Constructor options from the current attributes
+    readAttributes() {
+      const options = {};
+      Object.keys(Magnifier.elementAttributes).forEach((name) => {
+        if (!this.hasAttribute(name)) return;
+        const [option, type] = Magnifier.elementAttributes[name];
+        const value = this.getAttribute(name);
+        if (type === 'number') {
+          const number = parseFloat(value);
+          if (!isNaN(number)) options[option] = number;
+        } else if (type === 'boolean') {
+          options[option] = value !== 'false';
+        } else if (type === 'point') {
+          const [x, y] = value.split(/[\s,]+/).map(parseFloat);
+          if (!isNaN(x) && !isNaN(y)) options[option] = { x, y };
+        } else if (type === 'list') {
+          const items = value.split(/[\s,]+/).filter(Boolean);
+          options[option] = items.length > 1 ? items : items[0];
+        } else if (type === 'frames') {
+          // A bare attribute enables all frames, a value is a selector
+          options[option] = value === '' || value === 'true' ? true : value;
+        } else {
+          options[option] = value;
+        }
+      });
+      return options;
+    }
+    
+    create() {
+      const magnifier = new Magnifier({ ...this.extraOptions, ...this.readAttributes() });
+      elementEvents.forEach((type) => {
+        magnifier.on(type, ({ target, ...detail }) => this.dispatch(type, { ...detail, magnifier: target }));
+      });
+      this.magnifier = magnifier;
+      // The 'dom' render mode is ready before listeners can be added
+      if (magnifier.isReady) {
+        this.dispatch('ready', { magnifier });
+      }
+    }
+    
+    dispatch(type, detail) {
+      this.dispatchEvent(new CustomEvent(`magnifier-${type}`, { detail, bubbles: true, composed: true }));
+    }
+    
+    destroyMagnifier() {
+      if (this.magnifier) {
+        this.magnifier.destroy();
+        this.magnifier = null;
+      }
+    }
+  
+  }
+  
+  Magnifier.Element = HTMLMagnifierElement;
+  if (!customElements.get('html-magnifier')) {
+    customElements.define('html-magnifier', HTMLMagnifierElement);
   }
 }
 